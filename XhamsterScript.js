@@ -4,10 +4,27 @@ const PLATFORM_CLAIMTYPE = 3;
 
 const PLATFORM = "xhamster";
 
+// Mirrors ERROR_TYPES in src/constants.ts
+const ERROR_TYPES = {
+	NETWORK: "NetworkError",
+	AUTH: "AuthenticationError",
+	NOT_FOUND: "NotFoundError",
+	INVALID_DATA: "InvalidDataError",
+	REMOVED: "RemovedError",
+	PRIVATE: "PrivateError",
+	PREMIUM: "PremiumError",
+	GEO_BLOCKED: "GeoBlockedError",
+	AGE_VERIFICATION: "AgeVerificationError"
+};
+
 var config = {};
+var _settings = {};
 var state = {
 	token: "",
-	sessionCookie: ""
+	sessionCookie: "",
+	// Channel paths of the "@Name" / "#Name" suggestions handed out by searchSuggestions,
+	// kept in the saved state because search may run after a reload or in another instance
+	suggestedChannels: {}
 };
 
 // headers (including cookie by default, since it's used for each session later)
@@ -20,6 +37,56 @@ var headers = {
 	"Upgrade-Insecure-Requests": "1"
 };
 
+// Site sections selectable through the "orientation" setting, in setting order
+const ORIENTATIONS = [
+	{ key: "straight", pathPrefix: "" },
+	{ key: "gay", pathPrefix: "/gay" },
+	{ key: "shemale", pathPrefix: "/shemale" }
+];
+
+/**
+ * Get the site section chosen in the "orientation" setting
+ * @returns {{key: string, pathPrefix: string}}
+ */
+function getOrientation() {
+	return ORIENTATIONS[parseInt(_settings.orientation)] ?? ORIENTATIONS[0];
+}
+
+/**
+ * Route a site path to the chosen orientation's section, e.g. "/search/x" -> "/gay/search/x"
+ * @param {string} path - Path starting with "/"
+ * @returns {string} - The section path
+ */
+function getOrientationPath(path) {
+	var prefixed = getOrientation().pathPrefix + path;
+	return prefixed.length > 1 ? prefixed.replace(/\/$/, "") : prefixed;
+}
+
+/**
+ * Same as getOrientationPath, as an absolute URL
+ * @param {string} path - Path starting with "/"
+ * @returns {string}
+ */
+function getOrientationUrl(path) {
+	return URL_BASE + getOrientationPath(path).replace(/^\//, "");
+}
+
+// Home feed sources selectable through the "homeFeed" setting, in setting order.
+// Ranked listings page as "/<path>/<page>", the front page as "?page=<page>".
+// A null path means the category chosen in the "homeCategory" setting.
+const HOME_SECTIONS = [
+	{ name: "Recommended", path: "/", pagination: "query" },
+	{ name: "Newest", path: "/newest", pagination: "path" },
+	{ name: "Best this week", path: "/best/weekly", pagination: "path" },
+	{ name: "Best this month", path: "/best/monthly", pagination: "path" },
+	{ name: "Most viewed", path: "/most-viewed/weekly", pagination: "path" },
+	{ name: "Trending in my country", path: "/trending", pagination: "path" },
+	{ name: "Category", path: null, pagination: "path" }
+];
+
+// Options of the "homeCategory" setting, in setting order
+const HOME_CATEGORIES = ["Amateur", "Homemade", "MILF", "Mature", "Teen", "Lesbian", "Anal", "Big Tits", "Asian", "Ebony", "Latina", "POV", "Vintage", "Hairy"];
+
 /**
  * Build a query
  * @param {{[key: string]: any}} params Query params
@@ -47,10 +114,12 @@ function buildQuery(params) {
 //Source Methods
 source.enable = function (conf, settings, savedStateStr) {
 	config = conf ?? {};
+	_settings = settings ?? {};
 
 	if (savedStateStr) {
 		try {
 			state = JSON.parse(savedStateStr);
+			state.suggestedChannels = state.suggestedChannels || {};
 			log("State loaded: token=" + (state.token ? "present" : "empty"));
 		} catch (e) {
 			log("Failed to parse saved state: " + e);
@@ -63,7 +132,19 @@ source.saveState = function() {
 };
 
 source.getHome = function () {
-	return getVideoPager('/video', {}, 1);
+	var section = HOME_SECTIONS[parseInt(_settings.homeFeed)] ?? HOME_SECTIONS[0];
+
+	var path = section.path;
+	if (path === null) {
+		var category = HOME_CATEGORIES[parseInt(_settings.homeCategory)] ?? HOME_CATEGORIES[0];
+		path = "/categories/" + category.toLowerCase().replace(/[^a-z0-9]+/g, "-");
+	}
+
+	log("getHome section=" + section.name + " path=" + path);
+	if (section.pagination === "path") {
+		return getSectionVideoPager(getOrientationPath(path), 1);
+	}
+	return getVideoPager(getOrientationPath(path), {}, 1);
 };
 
 
@@ -73,7 +154,7 @@ source.searchSuggestions = function(query) {
 
 	try {
 		// Build autocomplete API URL
-		var apiUrl = URL_BASE + "/api/v1/video/search_autocomplete?pornstars=true&token=" + state.token + "&orientation=straight&q=" + encodeURIComponent(query) + "&alt=0";
+		var apiUrl = URL_BASE + "/api/v1/video/search_autocomplete?pornstars=true&token=" + state.token + "&orientation=" + getOrientation().key + "&q=" + encodeURIComponent(query) + "&alt=0";
 		log("Fetching autocomplete: " + apiUrl);
 
 		// Use httpGET with options object
@@ -107,21 +188,21 @@ source.searchSuggestions = function(query) {
 		// Add model names (prefixed with @)
 		if (json.models && Array.isArray(json.models)) {
 			json.models.forEach(function(model) {
-				suggestions.push("@" + model.name);
+				suggestions.push(rememberSuggestedChannel("@" + model.name, "/creators/" + model.slug));
 			});
 		}
 
 		// Add pornstar names (prefixed with @)
 		if (json.pornstars && Array.isArray(json.pornstars)) {
 			json.pornstars.forEach(function(pornstar) {
-				suggestions.push("@" + pornstar.name);
+				suggestions.push(rememberSuggestedChannel("@" + pornstar.name, "/pornstars/" + pornstar.slug));
 			});
 		}
 
 		// Add channel names (prefixed with #)
 		if (json.channels && Array.isArray(json.channels)) {
 			json.channels.forEach(function(channel) {
-				suggestions.push("#" + channel.name);
+				suggestions.push(rememberSuggestedChannel("#" + channel.name, "/channels/" + channel.slug));
 			});
 		}
 
@@ -133,75 +214,216 @@ source.searchSuggestions = function(query) {
 	}
 };
 
+// Sort orders offered by the site's search, by display name
+const SEARCH_SORTS = {
+	"Relevance": "",
+	"Newest": "newest",
+	"Most Viewed": "views",
+	"Top Rated": "rating",
+	"Longest": "longest"
+};
+
+// Search filters: each option is [name, id, query params it sets]
+const SEARCH_FILTERS = [
+	{ id: "length", name: "Duration", options: [
+		["Under 10 min", "short", { "max-duration": "10" }],
+		["10-40 min", "medium", { "min-duration": "10", "max-duration": "40" }],
+		["Over 40 min", "long", { "min-duration": "40" }]
+	] },
+	{ id: "quality", name: "Minimum quality", options: [
+		["HD (720p)", "720p", { quality: "720p" }],
+		["Full HD (1080p)", "1080p", { quality: "1080p" }],
+		["4K (2160p)", "2160p", { quality: "2160p" }]
+	] },
+	{ id: "date", name: "Upload date", options: [
+		["Today", "today", { date: "today" }],
+		["This week", "week", { date: "week" }],
+		["This month", "month", { date: "month" }],
+		["This year", "year", { date: "year" }]
+	] },
+	{ id: "format", name: "Format", options: [["VR only", "vr", { format: "vr" }]] },
+	{ id: "prod", name: "Production", options: [
+		["Amateur", "amateur", { prod: "amateur" }],
+		["Professional", "professional", { prod: "professional" }]
+	] }
+];
+
+// Suggestions kept in state.suggestedChannels, at most; the oldest are dropped first
+const SUGGESTED_CHANNELS_KEPT = 200;
+
+/**
+ * Remember which channel a prefixed suggestion stands for, so search can open it exactly
+ * @param {string} suggestion - "@Name" or "#Name"
+ * @param {string} path - Channel path built from the autocomplete slug
+ * @returns {string} - The suggestion, unchanged
+ */
+function rememberSuggestedChannel(suggestion, path) {
+	if (!path.endsWith("/undefined")) {
+		var key = suggestion.toLowerCase();
+		delete state.suggestedChannels[key];
+		state.suggestedChannels[key] = getOrientationPath(path);
+
+		var keys = Object.keys(state.suggestedChannels);
+		keys.slice(0, Math.max(0, keys.length - SUGGESTED_CHANNELS_KEPT)).forEach(k => delete state.suggestedChannels[k]);
+	}
+	return suggestion;
+}
+
+/**
+ * Resolve an "@Name" (creator/pornstar) or "#Name" (channel) suggestion handed out by searchSuggestions to its channel path
+ * @param {string} query - The search query
+ * @returns {string|null} - Channel path, or null if the query isn't one of our suggestions (e.g. typed by hand)
+ */
+function getSuggestedChannelPath(query) {
+	return state.suggestedChannels[query.trim().toLowerCase()] ?? null;
+}
+
 source.getSearchCapabilities = () => {
 	return {
 		types: [Type.Feed.Mixed],
-		sorts: [Type.Order.Chronological],
-		filters: []
+		sorts: Object.keys(SEARCH_SORTS),
+		filters: SEARCH_FILTERS.map(group => new FilterGroup(group.name,
+			group.options.map(([name, value]) => new FilterCapability(name, value, value)),
+			false,
+			group.id))
 	};
 };
 
 source.search = function (query, type, order, filters) {
-	//let sort = order;
-	//if (sort === Type.Order.Chronological) {
-	//	sort = "-publishedAt";
-	//}
-//
-	//const params = {
-	//	search: query,
-	//	sort
-	//};
-//
-	//if (type == Type.Feed.Streams) {
-	//	params.isLive = true;
-	//} else if (type == Type.Feed.Videos) {
-	//	params.isLive = false;
-	//}
-
-	return getVideoPager("/video/search", {search: query}, 1);
+	var channelPath = getSuggestedChannelPath(query);
+	if (channelPath) {
+		log("Search for suggested channel " + channelPath);
+		try {
+			var pager = getChannelVideosPager(URL_BASE + channelPath.replace(/^\//, ""), getSearchParams(order, filters), 1);
+			if (pager.results.length > 0) {
+				return pager;
+			}
+		} catch (e) {
+			log("Suggested channel " + channelPath + " failed, searching by name instead: " + e.message);
+		}
+	}
+
+	// "@Name" / "#Name" queries that don't lead to a channel search for the name itself
+	var text = query.trim().replace(/^[@#]\s*/, "") || query.trim();
+	return getVideoPager(getOrientationPath("/search/" + encodeURIComponent(text)), getSearchParams(order, filters), 1);
 };
 
+/**
+ * Translate a search sort order and filters into the site's query parameters
+ * @param {string} order - One of the SEARCH_SORTS names
+ * @param {{[key: string]: string[]}} filters - Selected filter values by filter group id
+ * @returns {{[key: string]: string}} - Query params
+ */
+function getSearchParams(order, filters) {
+	var params = {};
+
+	if (order && SEARCH_SORTS[order]) {
+		params.sort = SEARCH_SORTS[order];
+	}
+
+	if (filters) {
+		SEARCH_FILTERS.forEach(function (group) {
+			var selected = filters[group.id];
+			var option = selected && group.options.find(([, value]) => value === selected[0]);
+			if (option) {
+				Object.assign(params, option[2]);
+			}
+		});
+	}
+
+	return params;
+}
+
 source.getSearchChannelContentsCapabilities = function () {
 	return {
 		types: [Type.Feed.Mixed],
-		sorts: [Type.Order.Chronological],
+		sorts: Object.keys(SEARCH_SORTS),
 		filters: []
 	};
 };
 
 source.searchChannelContents = function (channelUrl, query, type, order, filters) {
-	throw new ScriptException("This is a sample");
+	if (!parseChannelUrl(channelUrl)) {
+		throw new ScriptException("Not a channel URL: " + channelUrl);
+	}
+
+	return getChannelSearchPager(normalizeXhamsterUrl(channelUrl), query, getSearchParams(order, filters), 1);
 };
 
 source.searchChannels = function (query) {
 	return getAutocompleteChannelPager(query);
 };
 
+source.searchPlaylists = function (query, type, order, filters) {
+	return getPlaylistSearchPager(query, 1);
+};
+
+source.isPlaylistUrl = function (url) {
+	return parsePlaylistUrl(url) !== null;
+};
+
+source.getPlaylist = function (url) {
+	var playlist = parsePlaylistUrl(url);
+	if (!playlist) {
+		throw new ScriptException("Not a playlist URL: " + url);
+	}
+
+	url = normalizeXhamsterUrl(url).split(/[?#]/)[0];
+	var html = httpGET(url, {});
+	var info = getPlaylistInfo(html, url, playlist.id);
+
+	return new PlatformPlaylistDetails({
+		id: new PlatformID(PLATFORM, playlist.id, config.id),
+		name: info.name,
+		thumbnail: info.thumbnail,
+		author: new PlatformAuthorLink(new PlatformID(PLATFORM, info.author.id, config.id),
+			info.author.name,
+			info.author.url,
+			info.author.avatar),
+		datetime: undefined,
+		url: url,
+		videoCount: info.videoCount,
+		// Collections and favorites both put the page number in the path, like the favorites channel tab
+		contents: getSectionVideoPager(url.replace("https://xhamster.com", "").replace(/\/$/, ""), 1)
+	});
+};
+
 
 source.isChannelUrl = function (url) {
-	return (url.includes(".xhamster.com/creators/") || url.includes(".xhamster.com/channels/") || url.includes(".xhamster.com/pornstars/") ||
-			url.includes("/creators/") || url.includes("/channels/") || url.includes("/pornstars/"));
+	// Profile favorites live under the profile path but open as playlists
+	return parseChannelUrl(url) !== null && parsePlaylistUrl(url) === null;
 };
 
 source.getChannel = function (url) {
 	if (!url.startsWith("htt")) {
-		url = URL_BASE + url;
+		url = URL_BASE + url.replace(/^\//, "");
 	}
 
 	// Normalize the URL to remove country-specific subdomains
-	url = normalizePornhubUrl(url);
+	url = normalizeXhamsterUrl(url);
 
-	var channelUrlName = url.split("/")[4]
+	var channel = parseChannelUrl(url);
+	if (!channel) {
+		throw new ScriptException("Not an xHamster channel URL: " + url);
+	}
+	url = getChannelUrl(url);
 
 	var info;
-	if(url.includes("/channels/")) {
-		info = getChannelInfo(url);
-	} else {
-		info = getPornstarInfo(url);
+	switch (channel.type) {
+		case "categories":
+		case "tags":
+			info = getCategoryInfo(url, channel);
+			break;
+		case "users":
+			info = getUserInfo(url, channel);
+			break;
+		default:
+			info = getChannelInfo(url, channel);
+			break;
 	}
 
     return new PlatformChannel({
-        id: new PlatformID(PLATFORM, channelUrlName, config.id, PLATFORM_CLAIMTYPE),
+        id: new PlatformID(PLATFORM, getChannelId(url), config.id, PLATFORM_CLAIMTYPE),
         name: info.channelName,
         thumbnail: info.channelThumbnail,
         banner: info.channelBanner,
@@ -214,120 +436,222 @@ source.getChannel = function (url) {
 
 
 
+// Channel listing sorts and the `sort` value each one sets
+const CHANNEL_SORTS = {
+	"Newest": "newest",
+	"Most Viewed": "views",
+	"Top Rated": "rating"
+};
+
+// Content tabs of creator, user, channel and pornstar pages. Only creator and user profiles have favorites.
+const CHANNEL_CONTENT_TABS = [["Videos", "videos"], ["Moments", "moments"], ["Photo galleries", "photos"], ["Favorites", "favorites"]];
+
+source.getChannelCapabilities = function () {
+	return {
+		types: [Type.Feed.Mixed, Type.Feed.Videos, Type.Feed.Shorts],
+		sorts: Object.keys(CHANNEL_SORTS),
+		filters: [
+			new FilterGroup("Content",
+				CHANNEL_CONTENT_TABS.map(([name, value]) => new FilterCapability(name, value, value)),
+				false,
+				"content")
+		]
+	};
+};
+
 source.getChannelContents = function (url, type, order, filters) {
 	// Normalize the URL to remove country-specific subdomains
-	url = normalizePornhubUrl(url);
+	url = normalizeXhamsterUrl(url);
 
-	// channels have different format than model/pornstar
-	if(url.includes("/channels/")) {
-		return getChannelVideosPager(url + "/videos", {}, 1);
-	} else if(url.includes("/model/")){
-		return getModelVideosPager(url + "/videos", {}, 1);
-	} else {
-		return getPornstarVideosPager(url + "/videos/upload", {}, 1);
+	var channel = parseChannelUrl(url);
+	if (!channel) {
+		throw new ScriptException("Not an xHamster channel URL: " + url);
 	}
-};
 
+	var params = order && CHANNEL_SORTS[order] ? { sort: CHANNEL_SORTS[order] } : {};
+	var tab = getChannelContentTab(type, filters);
 
-source.isContentDetailsUrl = function(url) {
-	return url.includes(".pornhub.com/view_video.php?viewkey=") || url.includes("/view_video.php?viewkey=");
+	if (tab === "favorites" && channel.type !== "creators" && channel.type !== "users") {
+		return new VideoPager([], false);
+	}
+	if (tab === "photos") {
+		return getChannelGalleriesPager(url, params, 1);
+	}
+	return getChannelVideosPager(url, params, 1, tab);
 };
 
-const supportedResolutions = {
-	'1080': { width: 1920, height: 1080 },
-	'720': { width: 1280, height: 720 },
-	'480': { width: 854, height: 480 },
-	'360': { width: 640, height: 360 },
-	'240': { width: 352, height: 240 },
-	'144': { width: 256, height: 144 }
-};
+source.getChannelRecommendations = function (url) {
+	url = normalizeXhamsterUrl(url);
 
+	if (!parseChannelUrl(url)) {
+		throw new ScriptException("Not an xHamster channel URL: " + url);
+	}
 
+	var channels = getRelatedChannels(httpGET(url, {}), url);
+	return new ChannelPager(channels.map(toPlatformAuthorLink), false);
+};
 
-source.getContentDetails = function (url) {
-	var html = httpGET(url, {});
+source.getChannelPlaylists = function (url) {
+	url = normalizeXhamsterUrl(url);
 
-	let flashvarsMatch = html.match(/var\s+flashvars_\d+\s*=\s*({.+?});/);
+	var channel = parseChannelUrl(url);
+	if (!channel) {
+		throw new ScriptException("Not an xHamster channel URL: " + url);
+	}
 
-	let flashvars = {};
-	if (flashvarsMatch) {
-		flashvars = JSON.parse(flashvarsMatch[1]);
+	// Only creator and user profiles keep collections and favorites
+	if (channel.type !== "creators" && channel.type !== "users") {
+		return new PlaylistPager([], false);
 	}
 
-	var mediaDefinitions = flashvars["mediaDefinitions"];
-	var sources = [];
+	var profilePath = getChannelPath(url);
+	var favoritesUrl = "https://xhamster.com" + profilePath + "/favorites/videos";
+	var favorites = new PlatformPlaylist({
+		id: new PlatformID(PLATFORM, parsePlaylistUrl(favoritesUrl).id, config.id),
+		name: "Favorites",
+		thumbnail: "",
+		author: new PlatformAuthorLink(new PlatformID(PLATFORM, getChannelId(url), config.id), channel.slug, "https://xhamster.com" + profilePath),
+		datetime: undefined,
+		url: favoritesUrl
+	});
+
+	var pager;
+	try {
+		pager = getPlaylistPager(profilePath + "/collections", {}, 1);
+	} catch (e) {
+		// Profiles without public collections have no collections page
+		if (!(e instanceof UnavailableException)) throw e;
+		pager = new XhamsterPlaylistPager([], false, profilePath + "/collections", {}, 1);
+	}
 
+	pager.results.unshift(favorites);
+	return pager;
+};
 
-	for (const mediaDefinition of mediaDefinitions) {
-		if(typeof mediaDefinition.defaultQuality === "boolean") {
-			if(typeof mediaDefinition.quality === "object") continue;
-			let width = supportedResolutions[`${mediaDefinition.quality}`].width;
-			let height = supportedResolutions[`${mediaDefinition.quality}`].height;
-			sources.push(new HLSSource({
-				name: `${width}x${height}`,
-				width: width,
-				height: height,
-				url: mediaDefinition.videoUrl,
-				duration: flashvars.video_duration ?? 0,
-				priority: true
-			}));
-		} else if(typeof mediaDefinition.defaultQuality === "number") {
-			// doesn't work for now
-			// sources.push(new VideoUrlSource({
-			// 	name: "mp4",
-			// 	url: mediaDefinition.videoUrl,
-			// 	width: supportedResolutions[mediaDefinition.defaultQuality].width,
-			// 	height: supportedResolutions[mediaDefinition.defaultQuality].height,
-			// 	duration: flashvars.video_duration,
-			// 	container: "video/mp4"
-			// }));
-		} else {
-			continue;
-		}
+/**
+ * Pick the channel tab to list from the requested feed type and content filter
+ * @param {string} type - Requested feed type
+ * @param {{[key: string]: string[]}} filters - Selected filter values by filter group id
+ * @returns {string} - "videos", "moments", "photos" or "favorites"
+ */
+function getChannelContentTab(type, filters) {
+	var selected = filters && filters.content && filters.content[0];
+	if (selected && CHANNEL_CONTENT_TABS.some(([, value]) => value === selected)) {
+		return selected;
 	}
+	return type === Type.Feed.Shorts ? "moments" : "videos";
+}
+
+
+// Main domain, numbered mirrors (xhamster2.com, xhamster19.com, ...) and regional mirrors,
+// with any mobile or language subdomain (m., de., fr., ...)
+const XHAMSTER_HOST_REGEX = /^https?:\/\/(?:[a-z0-9-]+\.)?xhamster\d*\.(?:com|desi|one|xxx|tv)(?=[/?#]|$)/i;
+
+// Share short-links redirect to the full video page
+const XHAMSTER_SHORT_LINK_REGEX = /^https?:\/\/(?:www\.)?(?:xhms\.pro|xh\.video)\/[a-zA-Z0-9]+\/?$/i;
+
+// Listing pages that share a prefix with channel pages
+const CHANNEL_RESERVED_SLUGS = ["search", "all", "top", "new", "popular"];
+
+source.isContentDetailsUrl = function(url) {
+	if (!url) return false;
+
+	var withProtocol = /^https?:\/\//.test(url) ? url : "https://" + url.replace(/^\/\//, "");
+	if (XHAMSTER_SHORT_LINK_REGEX.test(withProtocol)) return true;
+	if (!XHAMSTER_HOST_REGEX.test(withProtocol)) return false;
 
+	var path = normalizeXhamsterUrl(withProtocol).replace("https://xhamster.com", "").split(/[?#]/)[0];
+	return /^\/videos\/[^/]+\/?$/.test(path) ||
+		/^\/movies\/\d+\//.test(path) ||
+		/^\/(?:embed\/|xembed\.php)/.test(path) ||
+		getGalleryIdFromUrl(withProtocol) !== null;
+};
+
+// Fallback aspect ratio for renditions that only advertise a height
+const DEFAULT_ASPECT_RATIO = 16 / 9;
+
+source.getContentDetails = function (url) {
+	url = normalizeXhamsterUrl(url);
 
+	// Photo galleries listed on the channel "Photo galleries" tab open as posts
+	if (getGalleryIdFromUrl(url) !== null) {
+		return getGalleryDetails(url);
+	}
+
+	// Error pages (private, removed, ...) come with an error status; their body says why
+	var response = httpGET(url, { withStatus: true });
+	var html = response.body;
 	var dom = domParser.parseFromString(html);
 
-	var ldJson = JSON.parse(dom.querySelector('script[type="application/ld+json"]').text)
+	// xHamster embeds its page state as `window.initials = {...};`
+	// ld+json and the DOM are only used when that state is missing fields
+	var initials = extractInitials(html) || {};
+	var videoModel = initials.videoModel || {};
 
-	var description = ldJson.description;
+	checkVideoAvailability(initials, dom, response.code);
 
-	var userAvatar = dom.getElementsByClassName("userAvatar")[0].querySelector("img").getAttribute("src")
+	var ldJson = getLdJson(dom) || {};
 
-	var userInfoNode = dom.getElementsByClassName("userInfo")[0];
+	var videoId = (videoModel.id ?? getVideoIdFromUrl(url) ?? "").toString();
+	var title = videoModel.title || ldJson.name || getMetaContent(dom, "og:title") || "";
+	var description = videoModel.description || ldJson.description || getMetaContent(dom, "og:description") || "";
+	var duration = videoModel.duration || parseIsoDuration(ldJson.duration);
+	var thumbnailUrl = getPosterUrl(initials) || videoModel.thumbURL || getLdJsonThumbnail(ldJson) || getMetaContent(dom, "og:image") || "";
 
-	var channelUrlId = userInfoNode.querySelector("div.usernameWrap a").getAttribute("href")[2]
-	
-	var subscribersStr = userInfoNode.querySelectorAll("span")[2].text;
-	var subscribers = parseStringWithKorMSuffixes(subscribersStr);
-	var displayName = userInfoNode.querySelector("a").text;
-	var channelUrl = userInfoNode.querySelector("a").getAttribute("href");
+	var datetime = 0;
+	if (videoModel.created) {
+		datetime = videoModel.created;
+	} else if (ldJson.uploadDate) {
+		datetime = Math.round((new Date(ldJson.uploadDate)).getTime() / 1000);
+	}
 
+	var views = 0;
+	if (videoModel.views !== undefined) {
+		views = parseCount(videoModel.views);
+	} else if (ldJson.interactionStatistic && ldJson.interactionStatistic[0]) {
+		views = parseCount(ldJson.interactionStatistic[0].userInteractionCount);
+	}
+
+	var author = getVideoAuthor(videoModel, dom);
+
+	description += formatVideoTags(getVideoTags(initials, dom));
+
+	var sources = [];
+	var hlsUrl = getHlsUrl(initials);
+	if (hlsUrl) {
+		sources.push(new HLSSource({
+			name: "HLS (Auto)",
+			url: hlsUrl,
+			duration: duration ?? 0,
+			priority: true
+		}));
+		sources = sources.concat(getHlsVariantSources(hlsUrl, duration ?? 0));
+	}
 
-	var views = parseInt(ldJson.interactionStatistic[0].userInteractionCount.replace(/,/g, ""))
+	sources = sources.concat(getMp4Sources(initials, duration ?? 0));
 
-	var videoId = flashvars.playbackTracking.video_id.toString();
+	if (sources.length === 0) {
+		log("No video sources found in page state for " + url);
+	}
 
-	// note: subtitles are in https://www.pornhub.com/video/caption?id={videoId}&language_id=1&caption_type=0 if present
- 
 	const details = new PlatformVideoDetails({
 		id: new PlatformID(PLATFORM, videoId, config.id),
-		name: flashvars.video_title,
-		thumbnails: new Thumbnails([new Thumbnail(flashvars.image_url, 0)]),
-		author: new PlatformAuthorLink(new PlatformID(PLATFORM, channelUrlId, config.id),
-			displayName,
-			channelUrl,
-			userAvatar ?? "",
-			subscribers ?? ""),
-		datetime: Math.round((new Date(ldJson.uploadDate)).getTime() / 1000),
-		duration: flashvars.video_duration,
+		name: title,
+		thumbnails: new Thumbnails([new Thumbnail(thumbnailUrl, 0)]),
+		author: new PlatformAuthorLink(new PlatformID(PLATFORM, author.id, config.id),
+			author.name,
+			author.url,
+			author.avatar ?? "",
+			author.subscribers ?? 0),
+		datetime: datetime,
+		duration: duration ?? 0,
 		viewCount: views,
-		url: flashvars.link_url,
+		url: videoModel.pageURL || getCanonicalUrl(dom) || url,
 		isLive: false,
 		description: description,
 		video: new VideoSourceDescriptor(sources),
-		//subtitles: subtitles
+		rating: getVideoRating(videoModel, dom),
+		subtitles: getSubtitles(initials, dom)
 	});
 
     details.getContentRecommendations = function () {
@@ -337,158 +661,759 @@ source.getContentDetails = function (url) {
 	return details;
 };
 
-// Get content recommendations based on a video URL
-source.getContentRecommendations = function(url) {
-	var html = httpGET(url, {});
-	var dom = domParser.parseFromString(html);
-
-	// Find all li.pcVideoListItem in the page (these are related videos)
-	var liElements = dom.querySelectorAll("li.pcVideoListItem");
-
-	if (liElements.length === 0) {
-		log("No recommendations found");
-		return new ContentPager([], false);
+// Pages served instead of a playable video, checked in order. `codes` are the HTTP or error model
+// status codes, `flags` the videoModel booleans, `patterns` match the error message. `unavailable`
+// reasons are raised as UnavailableException; the others can be fixed by the user.
+const UNAVAILABLE_REASONS = [
+	{
+		type: ERROR_TYPES.AGE_VERIFICATION,
+		message: "This video requires age verification. Log in to xHamster and verify your age to watch it.",
+		unavailable: false,
+		codes: [],
+		flags: ["needAgeVerification", "isAgeVerificationRequired"],
+		patterns: [/verify your age/i, /age verification/i]
+	},
+	{
+		type: ERROR_TYPES.GEO_BLOCKED,
+		message: "This video is not available in your country.",
+		unavailable: true,
+		codes: [451],
+		flags: ["isGeoBlocked", "geoBlocked"],
+		patterns: [/not available in your (country|region)/i, /blocked in your (country|region)/i]
+	},
+	{
+		type: ERROR_TYPES.PRIVATE,
+		message: "This video is private.",
+		unavailable: true,
+		codes: [403],
+		flags: ["isPrivate"],
+		patterns: [/private/i]
+	},
+	{
+		type: ERROR_TYPES.PREMIUM,
+		message: "This video is only available to FAN subscribers or xHamster Premium members.",
+		unavailable: true,
+		codes: [402],
+		flags: ["isFanOnly", "isPremium", "isPaid"],
+		patterns: [/premium/i, /only for (fans|subscribers)/i, /subscribe to (the )?fan/i]
+	},
+	{
+		type: ERROR_TYPES.REMOVED,
+		message: "This video has been removed.",
+		unavailable: true,
+		codes: [404, 410],
+		flags: ["isDeleted", "isRemoved"],
+		patterns: [/(deleted|removed|disabled|no longer available)/i]
 	}
+];
 
-	var resultArray = [];
-
-	liElements.forEach(function (li) {
-		const videoId = li.getAttribute("data-video-id");
-		if (videoId && !isNaN(videoId)) {
-			const aElement = li.querySelector('a.thumbnailTitle, a[href*="view_video"]');
-			if (aElement) {
-				const videoUrl = aElement.getAttribute('href');
-				const imgElement = li.querySelector('img');
-				if (imgElement && videoUrl) {
-					const thumbnailUrl = imgElement.getAttribute('src') || imgElement.getAttribute('data-src') || imgElement.getAttribute('data-thumb_url');
-					const title = aElement.getAttribute("title") || aElement.textContent.trim() || imgElement.getAttribute("alt");
-					const durationVar = li.querySelector(".duration, var.duration");
-					const durationStr = durationVar ? durationVar.textContent.trim() : "0:00";
-					const duration = parseDuration(durationStr);
-					const viewsSpan = li.querySelector(".views var, .views");
-					const viewsStr = viewsSpan ? viewsSpan.textContent.trim() : "0";
-					const views = viewsStr && viewsStr.includes("K") || viewsStr.includes("M") ? parseNumberSuffix(viewsStr) : 0;
-
-					const authorLink = li.querySelector(".usernameWrap a, a[href*='/model/'], a[href*='/pornstar/'], a[href*='/channels/']");
-					let authorInfo = {
-						channel: "",
-						authorName: ""
-					};
-					if (authorLink) {
-						authorInfo.channel = URL_BASE + authorLink.getAttribute("href");
-						authorInfo.authorName = authorLink.textContent.trim();
-					}
-
-					resultArray.push(new PlatformVideo({
-						id: new PlatformID(PLATFORM, videoId, config.id),
-						name: title ?? "",
-						thumbnails: new Thumbnails([new Thumbnail(thumbnailUrl, 0)]),
-						author: new PlatformAuthorLink(new PlatformID(PLATFORM, authorInfo.authorName, config.id),
-							authorInfo.authorName,
-							authorInfo.channel,
-							""),
-						datetime: undefined,
-						duration: duration,
-						viewCount: views,
-						url: videoUrl.startsWith("http") ? videoUrl : URL_BASE + videoUrl,
-						isLive: false
-					}));
-				}
-			}
-		}
-	});
+/**
+ * Throw a descriptive error, before anything else is parsed, for video pages that carry an error
+ * instead of a playable video. Only the page's HTTP status, its own error model and videoModel flags
+ * are consulted, plus the text of the player's error box when the page state has neither.
+ * @param {Object} initials - Parsed `window.initials` page state
+ * @param {Object} dom - The parsed video page
+ * @param {number} [status=200] - HTTP status of the video page
+ * @throws {UnavailableException} - For removed, private, premium and geo-blocked videos
+ * @throws {ScriptException} - For age-walled videos
+ */
+function checkVideoAvailability(initials, dom, status = 200) {
+	var videoModel = initials.videoModel || {};
+	var error = initials.error || initials.errorModel || initials.pageError || videoModel.error || null;
+	if (error && typeof error !== "object") {
+		error = { message: `${error}` };
+	}
 
-	log(`Found ${resultArray.length} recommendations`);
-	return new ContentPager(resultArray, false);
-};
+	var errorCode = error ? parseInt(error.code ?? error.status ?? error.statusCode) : NaN;
+	if (isNaN(errorCode) && status >= 400) {
+		errorCode = status;
+	}
+	var errorText = error ? [error.type, error.title, error.message, error.description].filter(t => typeof t === "string").join(" ") : "";
+	if (!error && !videoModel.id) {
+		const errorElement = dom.querySelector(".video-error, .error-page, [data-role='video-error']");
+		errorText = errorElement ? errorElement.textContent.trim() : "";
+	}
 
-// Get shorts from the /shorties/ page
-source.getShorts = function(context) {
-	// Parse context
-	var from = 1;
-	var count = 12;
+	for (const reason of UNAVAILABLE_REASONS) {
+		var matched = reason.codes.includes(errorCode) ||
+			reason.flags.some(flag => videoModel[flag] === true) ||
+			(errorText !== "" && reason.patterns.some(pattern => pattern.test(errorText)));
+		if (!matched) continue;
 
-	if (typeof context === 'string') {
-		try {
-			const parsed = JSON.parse(context);
-			from = parsed.from ?? 1;
-			count = parsed.count ?? 12;
-		} catch (e) {
-			// Use defaults
+		log(`Video unavailable: ${reason.type} (status ${status})`);
+		if (reason.unavailable) {
+			throw new UnavailableException(reason.message);
 		}
-	} else if (context) {
-		from = context.from ?? 1;
-		count = context.count ?? 12;
+		throw new ScriptException(reason.message);
 	}
 
-	return getShortsPager(from, count);
-};
-
-function getShortsPager(from, count) {
-	log(`getShortsPager from=${from} count=${count}`);
-
-	// PornHub's /shorties page returns random shorts on each visit
-	// Not paginated - each fetch gets a fresh random set
-	const url = URL_BASE + "/shorties";
+	if ((error && errorText) || !isNaN(errorCode)) {
+		log(`Video unavailable: ${ERROR_TYPES.NOT_FOUND} (status ${status}), unrecognized error: ` + JSON.stringify(error));
+		throw new UnavailableException(errorText || "This video is not available.");
+	}
+}
 
-	var html = httpGET(url, {});
+/**
+ * Get the HLS master playlist URL from xHamster's player settings
+ * @param {Object} initials - Parsed `window.initials` page state
+ * @returns {string|null} - The master playlist URL, or null if none is present
+ */
+function getHlsUrl(initials) {
+	var playerSources = initials.xplayerSettings && initials.xplayerSettings.sources;
+	if (!playerSources || !playerSources.hls) return null;
+
+	var hls = playerSources.hls;
+	if (hls.h264 && hls.h264.url) return hls.h264.url;
+	if (hls.url) return hls.url;
+	return null;
+}
 
-	// Extract JSON_SHORTIES from the JavaScript in the HTML
-	// Pattern can be either:
-	// 1. JSON_SHORTIES = insertAfterNthPosition([...]);
-	// 2. if (SHOW_SHORTIES_ADS) { JSON_SHORTIES = insertAfterNthPosition([...]); }
+/**
+ * Get the progressive MP4 renditions from xHamster's page state
+ * @param {Object} initials - Parsed `window.initials` page state
+ * @returns {{quality: string, url: string, width?: number, height?: number, bitrate?: number}[]} - One entry per quality label, e.g. "720p"
+ */
+function getMp4Renditions(initials) {
+	var renditions = [];
+	var seen = {};
+
+	var addRendition = function (quality, url, metadata) {
+		if (!quality || !url || seen[quality]) return;
+		seen[quality] = true;
+		renditions.push({
+			quality: quality,
+			url: url,
+			width: metadata ? parseInt(metadata.width) || undefined : undefined,
+			height: metadata ? parseInt(metadata.height) || undefined : undefined,
+			bitrate: metadata ? parseInt(metadata.bitrate) || undefined : undefined
+		});
+	};
 
-	// Find the line that assigns JSON_SHORTIES
-	var startIdx = html.indexOf('JSON_SHORTIES = insertAfterNthPosition([');
-	if (startIdx === -1) {
-		log("No JSON_SHORTIES assignment found in page");
-		return new PornhubVideoPager([], false, "/shorties", {}, 1);
+	var playerSources = initials.xplayerSettings && initials.xplayerSettings.sources;
+	if (playerSources && playerSources.standard && Array.isArray(playerSources.standard.h264)) {
+		playerSources.standard.h264.forEach(function (rendition) {
+			addRendition(rendition.quality, rendition.url || rendition.fallback, rendition);
+		});
 	}
 
-	// Extract the JSON array - find the matching closing bracket and semicolon
-	var arrayStart = html.indexOf('[', startIdx);
-	var bracketCount = 0;
-	var arrayEnd = -1;
-	var inString = false;
-	var escapeNext = false;
+	var modelSources = initials.videoModel && initials.videoModel.sources;
+	if (modelSources && modelSources.mp4) {
+		for (const [quality, url] of Object.entries(modelSources.mp4)) {
+			addRendition(quality, url);
+		}
+	}
 
-	for (var i = arrayStart; i < html.length; i++) {
-		var char = html[i];
+	return renditions;
+}
 
-		if (escapeNext) {
-			escapeNext = false;
-			continue;
-		}
+/**
+ * Build one VideoUrlSource per progressive MP4 rendition, highest quality first
+ * @param {Object} initials - Parsed `window.initials` page state
+ * @param {number} duration - Video duration in seconds
+ * @returns {VideoUrlSource[]}
+ */
+function getMp4Sources(initials, duration) {
+	var sources = [];
 
-		if (char === '\\') {
-			escapeNext = true;
-			continue;
+	getMp4Renditions(initials).forEach(function (rendition) {
+		var resolution = getResolution(rendition.quality, rendition.width, rendition.height);
+		if (!resolution) {
+			log("Skipping MP4 with unknown quality: " + rendition.quality);
+			return;
 		}
 
-		if (char === '"' && !escapeNext) {
-			inString = !inString;
-			continue;
-		}
+		sources.push(new VideoUrlSource({
+			name: rendition.quality,
+			url: rendition.url,
+			width: resolution.width,
+			height: resolution.height,
+			bitrate: rendition.bitrate ?? 0,
+			duration: duration,
+			container: "video/mp4",
+			requestModifier: {
+				headers: getMediaHeaders()
+			}
+		}));
+	});
 
-		if (inString) continue;
+	return sources.sort((a, b) => b.height - a.height);
+}
 
-		if (char === '[') {
-			bracketCount++;
-		} else if (char === ']') {
-			bracketCount--;
-			if (bracketCount === 0) {
-				arrayEnd = i + 1;
-				break;
-			}
-		}
+/**
+ * Headers the media CDN expects on direct file requests (playback and downloads)
+ * @returns {{[key: string]: string}}
+ */
+function getMediaHeaders() {
+	var mediaHeaders = {
+		"Referer": URL_BASE,
+		"User-Agent": headers["User-Agent"]
+	};
+	if (headers["Cookie"]) {
+		mediaHeaders["Cookie"] = headers["Cookie"];
 	}
+	return mediaHeaders;
+}
 
-	if (arrayEnd === -1) {
-		log("Could not find end of JSON_SHORTIES array");
+/**
+ * Resolve a quality label such as "720p", "720p60", "2160p" or "4k" to its frame size.
+ * Known dimensions from the page state win over the label.
+ * @param {string|number} quality - The quality label or height
+ * @param {number} [width] - Known width, if any
+ * @param {number} [height] - Known height, if any
+ * @returns {{width: number, height: number, frameRate: number}|null} - The resolution, or null for labels like "auto"
+ */
+function getResolution(quality, width, height) {
+	var label = `${quality}`.toLowerCase().trim();
+	var frameRate = 0;
+
+	var match = label.match(/^(\d{3,4})p(\d{2,3})?$/) || label.match(/^(\d{3,4})$/);
+	if (match) {
+		height = height || parseInt(match[1]);
+		frameRate = match[2] ? parseInt(match[2]) : 0;
+	} else if (label === "4k" || label === "uhd") {
+		height = height || 2160;
+	} else if (label === "2k") {
+		height = height || 1440;
+	} else if (!height) {
+		return null;
+	}
+
+	return {
+		width: width || Math.round(height * DEFAULT_ASPECT_RATIO),
+		height: height,
+		frameRate: frameRate
+	};
+}
+
+/**
+ * Fetch an HLS master playlist and build one source per variant stream
+ * @param {string} masterUrl - The master playlist URL
+ * @param {number} duration - Video duration in seconds
+ * @returns {HLSSource[]} - Variant sources, highest resolution first; empty if the playlist is unavailable
+ */
+function getHlsVariantSources(masterUrl, duration) {
+	// The caller keeps the master playlist as a single source if the variants can't be read
+	var resp;
+	try {
+		resp = http.GET(masterUrl, getMediaHeaders());
+	} catch (e) {
+		log("Failed to fetch HLS master playlist: " + e.message);
+		return [];
+	}
+	if (!resp.isOk) {
+		log("Failed to fetch HLS master playlist (" + resp.code + "): " + masterUrl);
+		return [];
+	}
+
+	var variants;
+	try {
+		variants = parseHlsMasterPlaylist(resp.body, masterUrl);
+	} catch (e) {
+		log("Failed to parse HLS master playlist: " + e.message);
+		return [];
+	}
+
+	return variants.map(function (variant) {
+		return new HLSSource({
+			name: variant.name,
+			url: variant.url,
+			width: variant.width,
+			height: variant.height,
+			bitrate: variant.bitrate,
+			duration: duration,
+			priority: false
+		});
+	});
+}
+
+/**
+ * Parse the variant streams of an HLS master playlist
+ * @param {string} playlist - The master playlist body
+ * @param {string} masterUrl - The master playlist URL, used to resolve relative variant URIs
+ * @returns {{name: string, url: string, width: number, height: number, bitrate: number, frameRate: number}[]}
+ */
+function parseHlsMasterPlaylist(playlist, masterUrl) {
+	var variants = [];
+	var lines = playlist.split(/\r?\n/);
+
+	for (var i = 0; i < lines.length; i++) {
+		var line = lines[i].trim();
+		if (!line.startsWith("#EXT-X-STREAM-INF:")) continue;
+
+		var uri = (lines[i + 1] || "").trim();
+		if (!uri || uri.startsWith("#")) continue;
+
+		var attributes = line.substring("#EXT-X-STREAM-INF:".length);
+		var resolutionMatch = attributes.match(/RESOLUTION=(\d+)x(\d+)/);
+		var bandwidthMatch = attributes.match(/(?:^|,)BANDWIDTH=(\d+)/);
+		var frameRateMatch = attributes.match(/FRAME-RATE=([\d.]+)/);
+		var nameMatch = attributes.match(/NAME="([^"]+)"/);
+
+		var resolution = resolutionMatch ?
+			getResolution(nameMatch ? nameMatch[1] : resolutionMatch[2], parseInt(resolutionMatch[1]), parseInt(resolutionMatch[2])) :
+			(nameMatch ? getResolution(nameMatch[1]) : null);
+		if (!resolution) {
+			log("Skipping HLS variant without a known resolution: " + attributes);
+			continue;
+		}
+
+		var frameRate = frameRateMatch ? Math.round(parseFloat(frameRateMatch[1])) : resolution.frameRate;
+
+		variants.push({
+			name: `${resolution.height}p` + (frameRate > 30 ? `${frameRate}` : ""),
+			url: resolveUrl(uri, masterUrl),
+			width: resolution.width,
+			height: resolution.height,
+			bitrate: bandwidthMatch ? parseInt(bandwidthMatch[1]) : 0,
+			frameRate: frameRate
+		});
+	}
+
+	return variants.sort((a, b) => b.height - a.height || b.bitrate - a.bitrate);
+}
+
+/**
+ * Resolve a possibly relative URL against a base URL
+ * @param {string} url - Absolute, root-relative or relative URL
+ * @param {string} baseUrl - The URL it was found in
+ * @returns {string} - The absolute URL
+ */
+function resolveUrl(url, baseUrl) {
+	if (/^https?:\/\//.test(url)) return url;
+	if (url.startsWith("//")) return "https:" + url;
+
+	var origin = baseUrl.match(/^https?:\/\/[^/]+/)[0];
+	if (url.startsWith("/")) return origin + url;
+
+	return baseUrl.split("?")[0].replace(/[^/]*$/, "") + url;
+}
+
+/**
+ * Collect the categories, tags and credited pornstars of a video
+ * @param {Object} initials - Parsed `window.initials` page state
+ * @param {Object} dom - Parsed page DOM, used when the page state has no tags
+ * @returns {{categories: {name: string, url: string}[], tags: {name: string, url: string}[], pornstars: {name: string, url: string}[]}}
+ */
+function getVideoTags(initials, dom) {
+	var result = {
+		categories: [],
+		tags: [],
+		pornstars: []
+	};
+	var seen = {};
+
+	var addTag = function (name, url) {
+		if (!name || !url) return;
+		url = resolveUrl(url, URL_BASE);
+		if (seen[url]) return;
+		seen[url] = true;
+
+		var entry = { name: name.trim(), url: url };
+		if (url.includes("/categories/")) {
+			result.categories.push(entry);
+		} else if (url.includes("/pornstars/")) {
+			result.pornstars.push(entry);
+		} else if (url.includes("/tags/")) {
+			result.tags.push(entry);
+		}
+	};
+
+	var stateTags = initials.videoTagsComponent && initials.videoTagsComponent.tags;
+	if (Array.isArray(stateTags)) {
+		stateTags.forEach(tag => addTag(tag.name, tag.url));
+	}
+
+	if (!Array.isArray(stateTags) || stateTags.length === 0) {
+		dom.querySelectorAll("a[href*='/categories/'], a[href*='/tags/'], a[href*='/pornstars/']").forEach(function (link) {
+			if (!link.getAttribute("class") || !link.getAttribute("class").includes("tag")) return;
+			addTag(link.textContent, link.getAttribute("href"));
+		});
+	}
+
+	return result;
+}
+
+/**
+ * Format a video's tags as a description section, with links this plugin resolves as channels
+ * @param {{categories: Object[], tags: Object[], pornstars: Object[]}} videoTags - Output of getVideoTags
+ * @returns {string} - The section, or an empty string if there is nothing to list
+ */
+function formatVideoTags(videoTags) {
+	var section = "";
+	var groups = [
+		["⭐ Pornstars", videoTags.pornstars],
+		["📂 Categories", videoTags.categories],
+		["🏷️ Tags", videoTags.tags]
+	];
+
+	groups.forEach(function ([title, entries]) {
+		if (entries.length === 0) return;
+		section += "\n\n" + title + ":";
+		entries.forEach(function (entry) {
+			section += "\n• " + entry.name + " - " + entry.url;
+		});
+	});
+
+	return section;
+}
+
+// Display names for caption language codes the site serves
+const SUBTITLE_LANGUAGES = {
+	"ar": "Arabic",
+	"cs": "Czech",
+	"de": "German",
+	"en": "English",
+	"es": "Spanish",
+	"fr": "French",
+	"hi": "Hindi",
+	"hu": "Hungarian",
+	"id": "Indonesian",
+	"it": "Italian",
+	"ja": "Japanese",
+	"ko": "Korean",
+	"nl": "Dutch",
+	"pl": "Polish",
+	"pt": "Portuguese",
+	"ro": "Romanian",
+	"ru": "Russian",
+	"sv": "Swedish",
+	"th": "Thai",
+	"tr": "Turkish",
+	"uk": "Ukrainian",
+	"vi": "Vietnamese",
+	"zh": "Chinese"
+};
+
+/**
+ * Collect the caption tracks of a video as GrayJay subtitle sources
+ * @param {Object} initials - Parsed `window.initials` page state
+ * @param {Object} dom - Parsed page DOM, used when the page state has no tracks
+ * @returns {{name: string, url: string, format: string, getSubtitles: function(): string}[]}
+ */
+function getSubtitles(initials, dom) {
+	var tracks = [];
+
+	var playerSubtitles = initials.xplayerSettings && initials.xplayerSettings.subtitles;
+	var stateTracks = playerSubtitles ? (Array.isArray(playerSubtitles) ? playerSubtitles : playerSubtitles.tracks) : null;
+	if (Array.isArray(stateTracks)) {
+		stateTracks.forEach(function (track) {
+			var urls = track.urls || {};
+			var url = urls.vtt || urls.srt || track.url || track.src;
+			if (url) {
+				tracks.push({ url: url, language: track.lang || track.language || "", label: track.label || "" });
+			}
+		});
+	}
+
+	if (tracks.length === 0) {
+		dom.querySelectorAll("video track[kind='subtitles'], video track[kind='captions']").forEach(function (track) {
+			var url = track.getAttribute("src");
+			if (url) {
+				tracks.push({ url: url, language: track.getAttribute("srclang") || "", label: track.getAttribute("label") || "" });
+			}
+		});
+	}
+
+	var seen = {};
+	return tracks.filter(function (track) {
+		if (seen[track.url]) return false;
+		seen[track.url] = true;
+		return true;
+	}).map(function (track) {
+		var url = resolveUrl(track.url, URL_BASE);
+		return {
+			name: getSubtitleName(track.language, track.label),
+			url: url,
+			format: "text/vtt",
+			getSubtitles: function () {
+				var resp = http.GET(url, getMediaHeaders());
+				if (!resp.isOk) {
+					throw new ScriptException("Failed to fetch subtitles [" + url + "] (" + resp.code + ")");
+				}
+				return convertToWebVtt(resp.body);
+			}
+		};
+	});
+}
+
+/**
+ * Label a caption track with a human-readable language name
+ * @param {string} language - Language code such as "en" or "pt-BR"
+ * @param {string} label - Label given by the site, if any
+ * @returns {string}
+ */
+function getSubtitleName(language, label) {
+	var baseLanguage = (language || "").toLowerCase().split(/[-_]/)[0];
+	var languageName = SUBTITLE_LANGUAGES[baseLanguage];
+
+	// Some tracks are "labelled" with their bare language code
+	if (label && label.toLowerCase() !== (language || "").toLowerCase() && label.toLowerCase() !== baseLanguage) return label;
+	if (languageName) return languageName;
+	if (language) return language.toUpperCase();
+	return "Subtitles";
+}
+
+/**
+ * Convert SRT captions to WebVTT; WebVTT input is returned unchanged
+ * @param {string} text - The caption file body
+ * @returns {string} - WebVTT captions
+ */
+function convertToWebVtt(text) {
+	var body = text.replace(/^\uFEFF/, "").replace(/\r\n?/g, "\n").trim();
+	if (body.startsWith("WEBVTT")) return body;
+
+	// SRT uses a comma as the millisecond separator, WebVTT uses a dot
+	body = body.replace(/(\d{2}:\d{2}:\d{2}),(\d{3})/g, "$1.$2");
+	return "WEBVTT\n\n" + body;
+}
+
+/**
+ * Get the player poster image from xHamster's player settings
+ * @param {Object} initials - Parsed `window.initials` page state
+ * @returns {string|null} - The poster URL, or null if none is present
+ */
+function getPosterUrl(initials) {
+	var poster = initials.xplayerSettings && initials.xplayerSettings.poster;
+	if (!poster) return null;
+	return typeof poster === "string" ? poster : (poster.url || null);
+}
+
+/**
+ * Build the rating of a video from its vote counts, or from its percentage rating
+ * @param {Object} videoModel - `initials.videoModel`
+ * @param {Object} dom - Parsed page DOM, used when the page state has no rating
+ * @returns {RatingLikesDislikes|RatingScaler|RatingLikes|undefined} - undefined when the page has no rating data
+ */
+function getVideoRating(videoModel, dom) {
+	var rating = videoModel.rating || {};
+	var likes = rating.likes != null ? parseCount(rating.likes) : NaN;
+	var dislikes = rating.dislikes != null ? parseCount(rating.dislikes) : NaN;
+
+	if (isNaN(likes) || isNaN(dislikes)) {
+		const likesElement = dom.querySelector("[data-role='like'] .rb-new__info, .rb-new__button--like .rb-new__info");
+		const dislikesElement = dom.querySelector("[data-role='dislike'] .rb-new__info, .rb-new__button--dislike .rb-new__info");
+		if (likesElement && dislikesElement) {
+			likes = parseCount(likesElement.textContent.trim());
+			dislikes = parseCount(dislikesElement.textContent.trim());
+		}
+	}
+
+	if (!isNaN(likes) && !isNaN(dislikes)) {
+		return new RatingLikesDislikes(likes, dislikes);
+	}
+
+	var percentage = parseFloat(rating.value ?? rating.percent);
+	if (!isNaN(percentage)) {
+		return new RatingScaler(percentage / 100);
+	}
+
+	// Likes alone still make a rating; no data at all must not show as "0 likes"
+	return isNaN(likes) ? undefined : new RatingLikes(likes);
+}
+
+/**
+ * Parse the percentage rating shown on a listing card (e.g. "87%")
+ * @param {Object} li - The card element
+ * @returns {RatingScaler|undefined} - The rating, or undefined if the card has none
+ */
+function getCardRating(li) {
+	const ratingElement = li.querySelector(".rating-container .value, .video-thumb-info__rating, .thumb-image-container__rating");
+	if (!ratingElement) return undefined;
+
+	var percentage = parseFloat(ratingElement.textContent.trim());
+	return isNaN(percentage) ? undefined : new RatingScaler(percentage / 100);
+}
+
+/**
+ * Build the uploader info of a video, preferring the page state over the DOM
+ * @param {Object} videoModel - `initials.videoModel`
+ * @param {Object} dom - Parsed page DOM
+ * @returns {{id: string, name: string, url: string, avatar: string, subscribers: number}}
+ */
+function getVideoAuthor(videoModel, dom) {
+	var author = {
+		id: "",
+		name: "",
+		url: "",
+		avatar: "",
+		subscribers: 0
+	};
+
+	var modelAuthor = videoModel.author;
+	if (modelAuthor && modelAuthor.name) {
+		author.name = modelAuthor.name;
+		author.url = modelAuthor.pageURL || "";
+		author.avatar = modelAuthor.thumbURL || "";
+		author.subscribers = parseCount(modelAuthor.subscribers);
+	} else {
+		const authorLink = dom.querySelector(".video-tag--subscription, a[href*='/creators/'], a[href*='/channels/'], a[href*='/users/']");
+		if (authorLink) {
+			author.name = authorLink.textContent.trim();
+			author.url = authorLink.getAttribute("href") || "";
+			const avatarImg = authorLink.querySelector("img");
+			author.avatar = avatarImg ? (avatarImg.getAttribute("src") || "") : "";
+		}
+	}
+
+	if (author.url && !author.url.startsWith("http")) {
+		author.url = URL_BASE + author.url.replace(/^\//, "");
+	}
+	author.id = getChannelId(author.url, author.name);
+
+	return author;
+}
+
+/**
+ * Parse the first ld+json block of a page
+ * @param {Object} dom - Parsed page DOM
+ * @returns {Object|null} - The ld+json object, or null if missing or invalid
+ */
+function getLdJson(dom) {
+	const ldJsonElement = dom.querySelector('script[type="application/ld+json"]');
+	if (!ldJsonElement) return null;
+
+	try {
+		return JSON.parse(ldJsonElement.text);
+	} catch (e) {
+		log("Failed to parse ld+json: " + e);
+		return null;
+	}
+}
+
+function getLdJsonThumbnail(ldJson) {
+	if (Array.isArray(ldJson.thumbnailUrl)) return ldJson.thumbnailUrl[0];
+	return ldJson.thumbnailUrl || null;
+}
+
+function getCanonicalUrl(dom) {
+	const linkTag = dom.querySelector('link[rel="canonical"]');
+	return linkTag ? linkTag.getAttribute("href") : null;
+}
+
+function getMetaContent(dom, property) {
+	const metaTag = dom.querySelector(`meta[property="${property}"]`);
+	return metaTag ? metaTag.getAttribute("content") : null;
+}
+
+/**
+ * Extract the video ID from the end of a video URL (`/videos/<slug>-<id>` or `/videos/<id>`)
+ * @param {string} url - The video URL
+ * @returns {string|null} - The video ID, or null if the URL has none
+ */
+function getVideoIdFromUrl(url) {
+	var match = url.split("?")[0].match(/(?:-|\/videos\/)([a-zA-Z0-9]+)\/?$/);
+	return match ? match[1] : null;
+}
+
+// Get content recommendations based on a video URL
+source.getContentRecommendations = function(url) {
+	var html = httpGET(url, {});
+	var dom = domParser.parseFromString(html);
+
+	// Find all li.pcVideoListItem in the page (these are related videos)
+	var liElements = dom.querySelectorAll("li.pcVideoListItem");
+
+	if (liElements.length === 0) {
+		log("No recommendations found");
+		return new ContentPager([], false);
+	}
+
+	var resultArray = [];
+
+	liElements.forEach(function (li) {
+		const videoId = li.getAttribute("data-video-id");
+		if (videoId && !isNaN(videoId)) {
+			const aElement = li.querySelector('a.thumbnailTitle, a[href*="view_video"]');
+			if (aElement) {
+				const videoUrl = aElement.getAttribute('href');
+				const imgElement = li.querySelector('img');
+				if (imgElement && videoUrl) {
+					const thumbnailUrl = imgElement.getAttribute('src') || imgElement.getAttribute('data-src') || imgElement.getAttribute('data-thumb_url');
+					const title = aElement.getAttribute("title") || aElement.textContent.trim() || imgElement.getAttribute("alt");
+					const durationVar = li.querySelector(".duration, var.duration");
+					const durationStr = durationVar ? durationVar.textContent.trim() : "0:00";
+					const duration = parseDuration(durationStr);
+					const viewsSpan = li.querySelector(".views var, .views");
+					const viewsStr = viewsSpan ? viewsSpan.textContent.trim() : "0";
+					const views = parseCount(viewsStr);
+
+					const authorLink = li.querySelector(".usernameWrap a, a[href*='/model/'], a[href*='/pornstar/'], a[href*='/channels/']");
+					let authorInfo = {
+						channel: "",
+						authorName: ""
+					};
+					if (authorLink) {
+						authorInfo.channel = URL_BASE + authorLink.getAttribute("href");
+						authorInfo.authorName = authorLink.textContent.trim();
+					}
+
+					resultArray.push(new PlatformVideo({
+						id: new PlatformID(PLATFORM, videoId, config.id),
+						name: title ?? "",
+						thumbnails: new Thumbnails([new Thumbnail(thumbnailUrl, 0)]),
+						author: new PlatformAuthorLink(new PlatformID(PLATFORM, getChannelId(authorInfo.channel, authorInfo.authorName), config.id),
+							authorInfo.authorName,
+							authorInfo.channel,
+							""),
+						datetime: undefined,
+						duration: duration,
+						viewCount: views,
+						url: videoUrl.startsWith("http") ? videoUrl : URL_BASE + videoUrl,
+						isLive: false
+					}));
+				}
+			}
+		}
+	});
+
+	log(`Found ${resultArray.length} recommendations`);
+	return new ContentPager(resultArray, false);
+};
+
+// Get shorts from the /shorties/ page
+source.getShorts = function(context) {
+	// Parse context
+	var from = 1;
+	var count = 12;
+
+	if (typeof context === 'string') {
+		try {
+			const parsed = JSON.parse(context);
+			from = parsed.from ?? 1;
+			count = parsed.count ?? 12;
+		} catch (e) {
+			// Use defaults
+		}
+	} else if (context) {
+		from = context.from ?? 1;
+		count = context.count ?? 12;
+	}
+
+	return getShortsPager(from, count);
+};
+
+function getShortsPager(from, count) {
+	log(`getShortsPager from=${from} count=${count}`);
+
+	// PornHub's /shorties page returns random shorts on each visit
+	// Not paginated - each fetch gets a fresh random set
+	const url = URL_BASE + "/shorties";
+
+	var html = httpGET(url, {});
+
+	// Extract JSON_SHORTIES from the JavaScript in the HTML
+	// Pattern can be either:
+	// 1. JSON_SHORTIES = insertAfterNthPosition([...]);
+	// 2. if (SHOW_SHORTIES_ADS) { JSON_SHORTIES = insertAfterNthPosition([...]); }
+
+	// Find the line that assigns JSON_SHORTIES
+	var startIdx = html.indexOf('JSON_SHORTIES = insertAfterNthPosition([');
+	if (startIdx === -1) {
+		log("No JSON_SHORTIES assignment found in page");
 		return new PornhubVideoPager([], false, "/shorties", {}, 1);
 	}
 
-	var jsonString = html.substring(arrayStart, arrayEnd);
+	var jsonString = extractBalancedJson(html, html.indexOf('[', startIdx));
 	if (!jsonString) {
 		log("No JSON_SHORTIES data extracted");
 		return new PornhubVideoPager([], false, "/shorties", {}, 1);
@@ -528,12 +1453,7 @@ function getShortsPager(from, count) {
 		// Parse likes as views (shorties don't have view count)
 		var views = 0;
 		if (short.likeInfo) {
-			const likeStr = short.likeInfo.toString();
-			if (likeStr.includes("K") || likeStr.includes("M")) {
-				views = parseNumberSuffix(likeStr);
-			} else {
-				views = parseInt(likeStr) || 0;
-			}
+			views = parseCount(short.likeInfo.toString());
 		}
 
 		// Extract video sources from mediaDefinitions
@@ -542,10 +1462,10 @@ function getShortsPager(from, count) {
 			short.mediaDefinitions.forEach(function (mediaDefinition) {
 				if (mediaDefinition.format === "hls" && mediaDefinition.videoUrl) {
 					var quality = mediaDefinition.quality;
-					var resolution = supportedResolutions[quality];
+					var resolution = getResolution(quality);
 					if (resolution) {
 						sources.push(new HLSSource({
-							name: quality + "p",
+							name: `${resolution.height}p`,
 							width: resolution.width,
 							height: resolution.height,
 							url: mediaDefinition.videoUrl,
@@ -564,7 +1484,7 @@ function getShortsPager(from, count) {
 				id: new PlatformID(PLATFORM, videoId, config.id),
 				name: title ?? "",
 				thumbnails: new Thumbnails([new Thumbnail(thumbnailUrl, 0)]),
-				author: new PlatformAuthorLink(new PlatformID(PLATFORM, authorName, config.id),
+				author: new PlatformAuthorLink(new PlatformID(PLATFORM, getChannelId(authorUrl, authorName), config.id),
 					authorName,
 					authorUrl,
 					""),
@@ -576,7 +1496,7 @@ function getShortsPager(from, count) {
 				isShort: true,
 				description: "",
 				video: new VideoSourceDescriptor(sources),
-				rating: new RatingLikes(parseInt(short.likeNumber) || 0)
+				rating: new RatingLikes(parseCount(short.likeNumber))
 			}));
 		} else {
 			// No sources available, return metadata only
@@ -584,7 +1504,7 @@ function getShortsPager(from, count) {
 				id: new PlatformID(PLATFORM, videoId, config.id),
 				name: title ?? "",
 				thumbnails: new Thumbnails([new Thumbnail(thumbnailUrl, 0)]),
-				author: new PlatformAuthorLink(new PlatformID(PLATFORM, authorName, config.id),
+				author: new PlatformAuthorLink(new PlatformID(PLATFORM, getChannelId(authorUrl, authorName), config.id),
 					authorName,
 					authorUrl,
 					""),
@@ -608,6 +1528,80 @@ function getShortsPager(from, count) {
 
 
 
+/**
+ * Extract a balanced JSON object or array literal from a script body
+ * @param {string} text - The text containing the literal
+ * @param {number} start - Index of the opening `{` or `[`
+ * @returns {string|null} - The literal, or null if it is unterminated
+ */
+function extractBalancedJson(text, start) {
+	if (start < 0) return null;
+
+	var open = text[start];
+	var close = open === "{" ? "}" : "]";
+	var depth = 0;
+	var inString = false;
+	var escapeNext = false;
+
+	for (var i = start; i < text.length; i++) {
+		var char = text[i];
+
+		if (escapeNext) {
+			escapeNext = false;
+			continue;
+		}
+
+		if (char === '\\') {
+			escapeNext = true;
+			continue;
+		}
+
+		if (char === '"') {
+			inString = !inString;
+			continue;
+		}
+
+		if (inString) continue;
+
+		if (char === open) {
+			depth++;
+		} else if (char === close) {
+			depth--;
+			if (depth === 0) {
+				return text.substring(start, i + 1);
+			}
+		}
+	}
+
+	return null;
+}
+
+/**
+ * Extract xHamster's embedded page state (`window.initials = {...};`)
+ * @param {string} html - The page HTML
+ * @returns {Object|null} - The parsed page state, or null if not found
+ */
+function extractInitials(html) {
+	var startIdx = html.indexOf("window.initials");
+	if (startIdx === -1) {
+		log("No window.initials found in page");
+		return null;
+	}
+
+	var jsonString = extractBalancedJson(html, html.indexOf("{", startIdx));
+	if (!jsonString) {
+		log("Could not find end of window.initials object");
+		return null;
+	}
+
+	try {
+		return JSON.parse(jsonString);
+	} catch (e) {
+		log("Failed to parse window.initials: " + e);
+		return null;
+	}
+}
+
 /**
  * Detect if the HTML response is a bot detection challenge page
  * @param {string} html - The HTML response body
@@ -764,21 +1758,6 @@ source.getSubComments = function (comment) {
 	throw new ScriptException("This is a sample");
 }
 
-function parseStringWithKorMSuffixes(subscriberString) {
-    const numericPart = parseFloat(subscriberString);
-
-    if (subscriberString.includes("K")) {
-        return Math.floor(numericPart * 1000);
-    } else if (subscriberString.includes("M")) {
-        return Math.floor(numericPart * 1000000);
-    } else {
-        return Math.floor(numericPart);
-    }
-}
-
-
-
-
 function getCommentPager(path, params, page) {
 	log(`getCommentPager page=${page}`, params)
 
@@ -821,7 +1800,7 @@ function getComments(html) {
 
 	var comments = []
 
-	const total = parseInt(dom.querySelector("div#cmtWrapper div.cmtHeader h2 span").textContent.trim().replace("(", "").replace(")", ""));
+	const total = parseCount(dom.querySelector("div#cmtWrapper div.cmtHeader h2 span").textContent.trim());
 	if (total > 0) {
 		// Loop through each comment block
 		// todo nested blocks
@@ -832,12 +1811,12 @@ function getComments(html) {
 			const username = commentBlock.querySelector('.usernameLink').textContent.trim();
 			const date = parseRelativeDate(commentBlock.querySelector('div.date').textContent.trim());
 			const message = commentBlock.querySelector('.commentMessage span').textContent.trim();
-			const voteUp = parseInt(commentBlock.querySelector('span.voteTotal').textContent.trim());
+			const voteUp = parseCount(commentBlock.querySelector('span.voteTotal').textContent.trim());
 			var isVoteDownPresent = commentBlock.querySelectorAll('div.actionButtonsBlock span') !== null;
 
 			var voteDown = 0;
 			if (isVoteDownPresent) {
-				voteDown = parseInt(commentBlock.querySelectorAll('div.actionButtonsBlock span')[1].textContent.trim());
+				voteDown = parseCount(commentBlock.querySelectorAll('div.actionButtonsBlock span')[1].textContent.trim());
 			}
 
 			// Push comment details to the comments array
@@ -870,63 +1849,240 @@ function getComments(html) {
 
 
 /**
- * Normalize PornHub URL by removing country-specific subdomains
+ * Normalize an xHamster URL to https://xhamster.com: drops mobile (m.) and language
+ * subdomains, maps mirror domains back to the main one, and rewrites embed links
+ * to their video page
  * @param {string} url - The URL to normalize
- * @returns {string} - Normalized URL with www.pornhub.com
+ * @returns {string} - Normalized URL on xhamster.com
  */
-function normalizePornhubUrl(url) {
+function normalizeXhamsterUrl(url) {
 	if (!url) return url;
 
-	// Replace any country-specific subdomain (rt.pornhub.com, de.pornhub.com, etc.) with www.pornhub.com
-	// Also handles urls without subdomain (pornhub.com -> www.pornhub.com)
-	return url.replace(/https?:\/\/([a-z]{2}\.)?xhamster\.com/, "https://xhamster.com/");
+	if (!/^https?:\/\//.test(url)) {
+		url = "https://" + url.replace(/^\/\//, "");
+	}
+
+	var normalized = url.replace(XHAMSTER_HOST_REGEX, "https://xhamster.com");
+
+	var embedMatch = normalized.match(/^https:\/\/xhamster\.com\/(?:xembed\.php\?video=|embed\/)([a-zA-Z0-9]+)/);
+	if (embedMatch) {
+		return "https://xhamster.com/videos/" + embedMatch[1];
+	}
+
+	return normalized;
+}
+
+/**
+ * Split an xHamster channel URL into its kind and slug. Categories and tags count as channels.
+ * @param {string} url - A creator, user, channel, pornstar, category or tag URL
+ * @returns {{type: string, slug: string}|null} - e.g. { type: "creators", slug: "some-name" }, or null if not a channel URL
+ */
+function parseChannelUrl(url) {
+	if (!url || !isXhamsterUrl(url)) return null;
+
+	var path = normalizeXhamsterUrl(url).replace("https://xhamster.com", "").split(/[?#]/)[0];
+	var match = path.match(/^\/(?:(?:gay|shemale)\/)?(users|creators|channels|pornstars|categories|tags)\/(?:profiles\/)?([^/]+)/);
+	if (!match || CHANNEL_RESERVED_SLUGS.includes(match[2])) return null;
+
+	return { type: match[1], slug: decodeURIComponent(match[2]) };
+}
+
+/**
+ * Get the canonical path of a channel, keeping its orientation section
+ * @param {string} url - Any URL accepted by parseChannelUrl, including its subpages
+ * @returns {string} - e.g. "/creators/some-name" or "/gay/pornstars/some-name"
+ */
+function getChannelPath(url) {
+	var channel = parseChannelUrl(url);
+	var sectionMatch = normalizeXhamsterUrl(url).match(/^https:\/\/xhamster\.com(\/(?:gay|shemale))?\//);
+	var prefix = sectionMatch && sectionMatch[1] ? sectionMatch[1] : "";
+	return prefix + "/" + channel.type + "/" + encodeURIComponent(channel.slug);
+}
+
+/**
+ * Get the canonical URL of a channel
+ * @param {string} url - Any URL accepted by parseChannelUrl, including its subpages
+ * @returns {string} - e.g. "https://xhamster.com/creators/some-name"
+ */
+function getChannelUrl(url) {
+	return "https://xhamster.com" + getChannelPath(url);
+}
+
+/**
+ * Get the ID of a channel, for the channel itself and for every author link pointing at it.
+ * The slug alone keeps IDs of existing subscriptions stable.
+ * @param {string} url - Channel URL, absolute or root-relative; may be empty
+ * @param {string} [fallback=""] - ID to use when the URL is not a channel URL, e.g. the author name
+ * @returns {string} - e.g. "some-name"
+ */
+function getChannelId(url, fallback = "") {
+	var channel = url ? parseChannelUrl(resolveUrl(url, URL_BASE)) : null;
+	return channel ? channel.slug : fallback;
+}
+
+/**
+ * Get the ID of an xHamster collection (playlist) URL. A profile's favorites count as a collection.
+ * @param {string} url - e.g. https://xhamster.com/playlists/some-name-12345 or https://xhamster.com/users/name/favorites/videos
+ * @returns {{id: string}|null} - The playlist ID, or null if not a playlist URL
+ */
+function parsePlaylistUrl(url) {
+	if (!url || !isXhamsterUrl(url)) return null;
+
+	var path = normalizeXhamsterUrl(url).replace("https://xhamster.com", "").split(/[?#]/)[0];
+	var favoritesMatch = path.match(/^\/(?:(?:gay|shemale)\/)?(?:users|creators)\/(?:profiles\/)?([^/]+)\/favorites\/videos\/?$/);
+	if (favoritesMatch) {
+		return { id: "favorites-" + decodeURIComponent(favoritesMatch[1]) };
+	}
+
+	var match = path.match(/^\/(?:(?:gay|shemale)\/)?(?:playlists|collections)\/([^/]+)\/?$/);
+	if (!match || CHANNEL_RESERVED_SLUGS.includes(match[1])) return null;
+
+	return { id: decodeURIComponent(match[1]) };
+}
+
+/**
+ * Check whether a URL points at xHamster, any of its mirrors or its short-link hosts
+ * @param {string} url - The URL to check
+ * @returns {boolean}
+ */
+function isXhamsterUrl(url) {
+	if (!url) return false;
+	var withProtocol = /^https?:\/\//.test(url) ? url : "https://" + url.replace(/^\/\//, "");
+	return XHAMSTER_HOST_REGEX.test(withProtocol) || XHAMSTER_SHORT_LINK_REGEX.test(withProtocol);
 }
 
+// Link hosts and the platform names shown for them
+const SOCIAL_PLATFORMS = {
+	'twitter.com': 'Twitter',
+	'x.com': 'Twitter',
+	'instagram.com': 'Instagram',
+	'tiktok.com': 'TikTok',
+	'youtube.com': 'YouTube',
+	'youtu.be': 'YouTube',
+	'onlyfans.com': 'OnlyFans',
+	'fansly.com': 'Fansly',
+	'manyvids.com': 'ManyVids',
+	'linktr.ee': 'Linktree',
+	'reddit.com': 'Reddit',
+	't.me': 'Telegram',
+	'telegram.me': 'Telegram',
+	'snapchat.com': 'Snapchat',
+	'chaturbate.com': 'Chaturbate',
+	'stripchat.com': 'Stripchat',
+	'fancentro.com': 'FanCentro',
+	'clips4sale.com': 'Clips4Sale',
+	'patreon.com': 'Patreon',
+	'allmylinks.com': 'AllMyLinks',
+	'beacons.ai': 'Beacons',
+	'twitch.tv': 'Twitch'
+};
+
+// Query parameters that redirect wrappers carry the real target in
+const REDIRECT_URL_PARAMS = ["url", "u", "to", "target", "link", "redirect", "dest"];
+
 /**
  * Extract platform name from URL
  * @param {string} url - The URL to extract platform from
  * @param {string} label - Optional label from the page
- * @returns {string} - Platform name or "Website"
+ * @returns {string} - Platform name, the bare domain for personal sites, or "Website"
  */
 function extractPlatformName(url, label) {
 	try {
 		// If label is provided and meaningful, use it
-		if (label && label !== "") {
+		if (label && label !== "" && !/^(https?:\/\/|www\.)/i.test(label)) {
 			return label;
 		}
 
 		// Extract domain from URL
-		var domain = url.replace(/^https?:\/\//, '').replace(/^www\./, '').split('/')[0].toLowerCase();
-
-		// Map of domain patterns to friendly names
-		var platformMap = {
-			'twitter.com': 'Twitter',
-			'x.com': 'Twitter',
-			'instagram.com': 'Instagram',
-			'tiktok.com': 'TikTok',
-			'youtube.com': 'YouTube'
-		};
-
-		// Check if domain matches any known platform
-		for (var pattern in platformMap) {
-			if (domain.includes(pattern)) {
-				return platformMap[pattern];
-			}
+		var domain = unwrapRedirectUrl(url).replace(/^https?:\/\//, '').replace(/^www\./, '').split(/[/?#]/)[0].toLowerCase();
+		if (!domain) {
+			return "Website";
 		}
 
-		// For unknown domains, capitalize the first part of the domain
-		var domainParts = domain.split('.');
-		if (domainParts.length > 0) {
-			var name = domainParts[0];
-			return name.charAt(0).toUpperCase() + name.slice(1);
+		// Check if domain is (a subdomain of) a known platform
+		for (var pattern in SOCIAL_PLATFORMS) {
+			if (domain === pattern || domain.endsWith('.' + pattern)) {
+				return SOCIAL_PLATFORMS[pattern];
+			}
 		}
 
-		return "Website";
+		// Personal sites are shown by their domain
+		return domain;
 	} catch (e) {
 		return "Website";
 	}
 }
 
+/**
+ * Follow redirect wrappers ("/redirect?url=https%3A%2F%2F...") to the link they point at
+ * @param {string} url - A link as found on the page
+ * @returns {string} - The real target, or the link itself if it is not wrapped
+ */
+function unwrapRedirectUrl(url) {
+	for (var depth = 0; depth < 3; depth++) {
+		var query = url.split("#")[0].split("?")[1];
+		if (!query) break;
+
+		var target = null;
+		query.split("&").forEach(function (pair) {
+			var eq = pair.indexOf("=");
+			if (target || eq < 0 || !REDIRECT_URL_PARAMS.includes(pair.substring(0, eq).toLowerCase())) return;
+			var value;
+			try {
+				value = decodeURIComponent(pair.substring(eq + 1).replace(/\+/g, " "));
+			} catch (e) {
+				return;
+			}
+			if (/^https?:\/\//i.test(value)) target = value;
+		});
+		if (!target) break;
+		url = target;
+	}
+
+	return url;
+}
+
+// Links block of creator, user, channel and pornstar profiles
+const SOCIAL_LINKS_CONTAINER = ".socialLinksSection ul.socialList, [data-role='profile-social-links'], .profile-social-links";
+
+/**
+ * Collect a channel page's external links, unwrapped, keyed by platform name and without duplicates
+ * @param {Object} dom - The parsed channel page
+ * @returns {{[name: string]: string}} - Links by platform name (e.g. { "OnlyFans": "https://onlyfans.com/name" })
+ */
+function getSocialLinks(dom) {
+	var channelLinks = {};
+	var seen = {};
+
+	// Only the profile's own links block; the site footer and share buttons carry xHamster's accounts
+	var container = dom.querySelector(SOCIAL_LINKS_CONTAINER);
+	if (!container) return channelLinks;
+
+	container.querySelectorAll("a[href]").forEach(function (link) {
+		var href = link.getAttribute("href");
+		if (!href) return;
+		href = unwrapRedirectUrl(resolveUrl(href, URL_BASE));
+		if (!/^https?:\/\//i.test(href) || isXhamsterUrl(href)) return;
+
+		// The same target often appears with and without "www." or a trailing slash
+		var key = href.replace(/^https?:\/\/(www\.)?/i, "").replace(/\/+$/, "").toLowerCase();
+		if (seen[key]) return;
+		seen[key] = true;
+
+		var linkText = link.querySelector(".socialText");
+		var name = extractPlatformName(href, linkText ? linkText.textContent.trim() : "");
+
+		// Keep every distinct link even when two share a platform
+		var linkLabel = name;
+		for (var n = 2; channelLinks[linkLabel]; n++) {
+			linkLabel = name + " " + n;
+		}
+		channelLinks[linkLabel] = href;
+	});
+
+	return channelLinks;
+}
+
 function parseRelativeDate(relativeDate) {
     const now = new Date();
     const lowerCaseRelativeDate = relativeDate.toLowerCase();
@@ -983,31 +2139,64 @@ function parseRelativeDate(relativeDate) {
 }
 
 
-function getChannelInfo(url) {
-	var html = httpGET(url, {});
-	let dom = domParser.parseFromString(html);
+// Page state keys of the profile model on each kind of channel page, most specific first
+const PROFILE_MODEL_KEYS = {
+	pornstars: ["pornstar", "pornstarInfo", "modelInfo"],
+	creators: ["creator", "creatorInfo", "userProfile"],
+	channels: ["channel", "channelInfo", "sponsorChannel"],
+	users: ["userProfile", "profile"]
+};
 
-	const avatarElement = dom.getElementById("getAvatar");
-	var channelThumbnail = avatarElement ? avatarElement.getAttribute("src") : "";
+/**
+ * Find the model of the profile a channel page is about, leaving out the logged-in viewer and other cards
+ * @param {Object} initials - Parsed `window.initials` page state
+ * @param {string} type - A PROFILE_MODEL_KEYS key, i.e. a parseChannelUrl type
+ * @returns {Object} - The profile model, or {} if the page state has none
+ */
+function getProfileModel(initials, type) {
+	for (const key of PROFILE_MODEL_KEYS[type] || []) {
+		var model = initials[key];
+		if (model && typeof model === "object" && !Array.isArray(model)) {
+			return model;
+		}
+	}
+	return {};
+}
 
-	const bannerElement = dom.getElementById("coverPictureDefault");
-	var channelBanner = bannerElement ? bannerElement.getAttribute("src") : "";
+/**
+ * Parse a creator, channel or pornstar page, page state first, DOM second
+ * @param {string} url - Normalized channel URL
+ * @param {{type: string, slug: string}} channel - Output of parseChannelUrl
+ * @returns {{channelName: string, channelThumbnail: string, channelBanner: string, channelSubscribers: number, channelDescription: string, channelUrl: string, channelLinks: Object}}
+ */
+function getChannelInfo(url, channel) {
+	var html = httpGET(url, {});
+	let dom = domParser.parseFromString(html);
+	var profile = getProfileModel(extractInitials(html) || {}, channel.type);
 
 	const nameElement = dom.querySelector("h1");
-	var channelName = nameElement ? nameElement.textContent.trim() : "";
+	var channelName = profile.displayName || profile.name || profile.title ||
+		(nameElement ? nameElement.textContent.trim() : "") || channel.slug;
 
-	var statsNode = dom.getElementById("stats");
+	var channelThumbnail = profile.thumbURL || profile.thumbUrl || profile.avatarURL || profile.avatar || profile.imageURL ||
+		getMetaContent(dom, "og:image") || "";
 
-	var channelSubscribers = (statsNode && statsNode.childNodes[1]) ? parseInt(statsNode.childNodes[1].textContent.trim().replace(/,/g, '')) : 0;
-	var channelViews = (statsNode && statsNode.childNodes[0]) ? parseInt(statsNode.childNodes[0].textContent.trim().replace(/,/g, '')) : 0;
-	var channelVideos = (statsNode && statsNode.childNodes[2]) ? parseInt(statsNode.childNodes[2].textContent.trim().split(" ")[0].replace(/,/g, '')) : 0;
+	var channelBanner = profile.coverURL || profile.cover || profile.coverImage || profile.bannerURL || "";
 
-	const descElement = dom.querySelector(".cdescriptions");
-	var channelDescription = (descElement && descElement.childNodes[0]) ? descElement.childNodes[0].textContent.trim() : "";
+	// Pornstar profiles keep their facts in an `about` object rather than text
+	var channelDescription = [profile.about, profile.bio, profile.description].find(text => typeof text === "string" && text) ||
+		getMetaContent(dom, "og:description") || "";
+
+	var channelSubscribers = getProfileCount(profile.subscribers ?? profile.subscribersCount ?? profile.followers,
+		dom.querySelector(".subscribers-count, [data-role='subscribers-count']"));
+	var channelVideos = getProfileCount(profile.videoCount ?? profile.videosCount ?? profile.videos,
+		dom.querySelector(".videos-count, [data-role='videos-count']"));
+	var channelViews = getProfileCount(profile.viewsCount ?? profile.views,
+		dom.querySelector(".views-count, [data-role='views-count']"));
 
 	// Add channel stats to description
 	if (channelViews > 0 || channelVideos > 0 || channelSubscribers > 0) {
-		channelDescription += "\n\n📊 Channel Stats:";
+		channelDescription += (channelDescription ? "\n\n" : "") + "📊 Channel Stats:";
 		if (channelVideos > 0) {
 			channelDescription += "\n• Total Videos: " + channelVideos.toLocaleString();
 		}
@@ -1019,127 +2208,298 @@ function getChannelInfo(url) {
 		}
 	}
 
-	// Extract social media links
-	var channelLinks = {};
-	var socialLinksSection = dom.querySelector(".socialLinksSection, section.socialLinksSection");
-	if (socialLinksSection) {
-		var socialLinks = socialLinksSection.querySelectorAll("ul.socialList li a");
-		socialLinks.forEach(function(link) {
-			var href = link.getAttribute("href");
-			if (href && !href.includes("pornhub.com")) {
-				var linkText = link.querySelector(".socialText");
-				var label = linkText ? linkText.textContent.trim() : "";
-
-				// Extract platform name from URL domain
-				var platformName = extractPlatformName(href, label);
-
-				// Use the label if available, otherwise use the extracted platform name
-				var linkLabel = label || platformName;
-
-				if (linkLabel) {
-					channelLinks[linkLabel] = href;
-				}
-			}
-		});
+	if (channel.type === "pornstars") {
+		channelDescription += formatPornstarBio(getPornstarBio(html, dom));
 	}
+	channelDescription += formatRelatedChannels(getRelatedChannels(html, url));
+	// The sections above start with a blank line even when there is no text before them
+	channelDescription = channelDescription.replace(/^\n+/, "");
 
 	return {
 		channelName: channelName,
-		channelThumbnail: channelThumbnail,
-		channelBanner: channelBanner,
+		channelThumbnail: channelThumbnail ? resolveUrl(channelThumbnail, URL_BASE) : "",
+		channelBanner: channelBanner ? resolveUrl(channelBanner, URL_BASE) : "",
 		channelSubscribers: channelSubscribers,
 		channelDescription: channelDescription,
-		channelUrl: normalizePornhubUrl(url),
-		channelLinks: channelLinks
+		channelUrl: getChannelUrl(url),
+		channelLinks: getSocialLinks(dom)
 	}
 }
 
 
 
-function getPornstarInfo(url) {
-	var html = httpGET(url, {});
-	let dom = domParser.parseFromString(html);
+// Pornstar profile facts in display order, with the labels and page state keys they appear under
+const PORNSTAR_BIO_FACTS = [
+	{ key: "aliases", label: "Aliases", pattern: /^(aliases|also known as|aka)\b/i, stateKeys: ["aliases", "aka"] },
+	{ key: "age", label: "Age", pattern: /^age\b/i, stateKeys: ["age"] },
+	{ key: "birthDate", label: "Born", pattern: /^(birth ?date|birthday|date of birth|born)\b/i, stateKeys: ["birthDate", "birthday", "dateOfBirth"] },
+	{ key: "country", label: "Country", pattern: /^(country|birth ?place|place of birth|nationality)\b/i, stateKeys: ["country", "countryName", "birthPlace"] },
+	{ key: "ethnicity", label: "Ethnicity", pattern: /^(ethnicity|race)\b/i, stateKeys: ["ethnicity"] },
+	{ key: "measurements", label: "Measurements", pattern: /^measurements\b/i, stateKeys: ["measurements"] },
+	{ key: "careerStart", label: "Career start", pattern: /^(career start|career|years active|active since)\b/i, stateKeys: ["careerStart", "careerStartYear", "yearsActive"] },
+	{ key: "ranking", label: "Ranking", pattern: /^(pornstar )?rank(ing)?\b/i, stateKeys: ["rank", "ranking"] }
+];
+
+// Facts block of a pornstar profile page
+const PORNSTAR_INFO_BLOCK = ".pornstar-info, [data-role='pornstar-info'], .profile-info";
 
-	const avatarElement = dom.getElementById("getAvatar");
-	const channelThumbnail = avatarElement ? avatarElement.getAttribute("src") : "";
+/**
+ * Collect a pornstar's profile facts (PORNSTAR_BIO_FACTS) from the profile model, or else the profile's info block
+ * @param {string} html - The pornstar page HTML
+ * @param {Object} dom - The parsed pornstar page
+ * @returns {{[key: string]: string}} - Fact values by PORNSTAR_BIO_FACTS key; missing facts are absent
+ */
+function getPornstarBio(html, dom) {
+	var bio = {};
+
+	var addFact = function (fact, value) {
+		if (!fact || bio[fact.key] || value === null || value === undefined) return;
+		if (Array.isArray(value)) {
+			value = value.map(v => typeof v === "object" && v ? v.name || v.title || "" : v).filter(v => v).join(", ");
+		} else if (typeof value === "object") {
+			value = value.name || value.title || "";
+		}
+		value = `${value}`.replace(/\s+/g, " ").trim();
+		if (value && value !== "0") {
+			bio[fact.key] = value;
+		}
+	};
+	var addLabeledFact = function (label, value) {
+		addFact(PORNSTAR_BIO_FACTS.find(fact => fact.pattern.test(`${label}`.replace(/:\s*$/, "").trim())), value);
+	};
+
+	var pornstar = getProfileModel(extractInitials(html) || {}, "pornstars");
+	PORNSTAR_BIO_FACTS.forEach(function (fact) {
+		fact.stateKeys.forEach(stateKey => addFact(fact, pornstar[stateKey]));
+	});
 
-	const bannerElement = dom.getElementById("coverPictureDefault");
-	const channelBanner = bannerElement ? bannerElement.getAttribute("src") : "";
+	// The profile's about section lists the rest as {label, value} pairs
+	forEachNestedObject(pornstar, function (node) {
+		if (typeof node.label === "string" && node.value !== undefined) {
+			addLabeledFact(node.label, node.value);
+		}
+	});
 
-	const nameElement = dom.querySelector("div.name > h1");
-	const channelName = nameElement ? nameElement.textContent.trim() : "";
+	var infoBlock = dom.querySelector(PORNSTAR_INFO_BLOCK);
+	if (!infoBlock) return bio;
 
-	var channelDescription;
-	const channelDescriptionElement = dom.querySelector("section.aboutMeSection > div:not([class])")
-	if(!channelDescriptionElement) {
-		channelDescription = "";
-	} else {
-		channelDescription = channelDescriptionElement.textContent;
-	}
+	infoBlock.querySelectorAll("dl").forEach(function (list) {
+		var terms = list.querySelectorAll("dt");
+		var details = list.querySelectorAll("dd");
+		terms.forEach(function (dt, i) {
+			if (details[i]) addLabeledFact(dt.textContent, details[i].textContent);
+		});
+	});
+	infoBlock.querySelectorAll("li, .infoPiece, .bio-row").forEach(function (row) {
+		var parts = row.querySelectorAll("span");
+		if (parts.length >= 2) {
+			addLabeledFact(parts[0].textContent, parts[parts.length - 1].textContent);
+		} else {
+			var match = row.textContent.match(/^\s*([^:]+):\s*(.+)$/s);
+			if (match) addLabeledFact(match[1], match[2]);
+		}
+	});
+
+	return bio;
+}
+
+/**
+ * Format the facts from getPornstarBio as a description section
+ * @param {{[key: string]: string}} bio - Output of getPornstarBio
+ * @returns {string} - The section, or "" when no facts were found
+ */
+function formatPornstarBio(bio) {
+	var lines = PORNSTAR_BIO_FACTS.filter(fact => bio[fact.key]).map(function (fact) {
+		var value = bio[fact.key];
+		if (fact.key === "ranking" && /^\d+$/.test(value)) {
+			value = "#" + value;
+		}
+		return "\n• " + fact.label + ": " + value;
+	});
+
+	return lines.length > 0 ? "\n\n⭐ Bio:" + lines.join("") : "";
+}
+
+// Related channels listed in a channel description, at most
+const RELATED_CHANNELS_IN_DESCRIPTION = 10;
+
+/**
+ * Collect the "similar pornstars" and "related channels" of a channel page, page state first, DOM second
+ * @param {string} html - The channel page HTML
+ * @param {string} channelUrl - Normalized URL of the channel itself, which is left out
+ * @returns {{subscribers: number, name: string, url: string, displayName: string, avatar: string}[]} - Same shape as getChannelsFromSearch
+ */
+function getRelatedChannels(html, channelUrl) {
+	var self = parseChannelUrl(channelUrl);
+	var related = [];
+	var seen = {};
+
+	var addChannel = function (url, displayName, avatar, subscribers) {
+		if (!url || !displayName) return;
+		url = normalizeXhamsterUrl(resolveUrl(url, URL_BASE)).split(/[?#]/)[0];
+		var channel = parseChannelUrl(url);
+		if (!channel || channel.type === "categories" || channel.type === "tags") return;
+		if (self && channel.type === self.type && channel.slug === self.slug) return;
+		if (seen[channel.type + "/" + channel.slug]) return;
+		seen[channel.type + "/" + channel.slug] = true;
+
+		related.push({
+			subscribers: parseCount(subscribers),
+			name: channel.slug,
+			url: url,
+			displayName: displayName.trim(),
+			avatar: avatar || ""
+		});
+	};
 
-	const statsNode = dom.querySelector("div.infoBoxes");
-	const channelSubscribers = statsNode ? parseNumberSuffix(statsNode.querySelector("div[data-title^=Subscribers] > span.big").textContent.trim()) : 0;
-	const channelViews = statsNode ? parseNumberSuffix(statsNode.querySelector("div[data-title^=Video] > span.big").textContent.trim()) : 0;
+	forEachNestedObject(extractInitials(html), function (node) {
+		if (Array.isArray(node)) return;
+		Object.keys(node).forEach(function (key) {
+			if (!/^(related|similar)/i.test(key) || !Array.isArray(node[key])) return;
+			node[key].forEach(function (card) {
+				if (!card || typeof card !== "object") return;
+				addChannel(card.pageURL || card.link || card.url, card.name || card.title,
+					card.thumbURL || card.imageURL || card.avatar,
+					card.subscribers ?? card.subscribersCount);
+			});
+		});
+	});
 
-	// Try to get video count from the stats node
-	var channelVideos = 0;
-	const videoCountElement = dom.querySelector("div.pornstarVideosCounter span.big, div.videosCounter span");
-	if (videoCountElement) {
-		const videoCountText = videoCountElement.textContent.trim();
-		channelVideos = videoCountText.includes("K") || videoCountText.includes("M") ? parseNumberSuffix(videoCountText) : parseInt(videoCountText.replace(/,/g, '')) || 0;
+	if (related.length === 0) {
+		var dom = domParser.parseFromString(html);
+		dom.querySelectorAll("[class*='related'] a[href], [class*='similar'] a[href]").forEach(function (link) {
+			var img = link.querySelector("img");
+			var name = link.getAttribute("title") || (img ? img.getAttribute("alt") : "") || link.textContent;
+			addChannel(link.getAttribute("href"), name || "",
+				img ? img.getAttribute("data-src") || img.getAttribute("src") : "", 0);
+		});
 	}
 
+	log(`getRelatedChannels: Found ${related.length} related channels`);
+	return related;
+}
+
+/**
+ * Format related channels as a description section of links
+ * @param {Object[]} related - Output of getRelatedChannels
+ * @returns {string} - The section, or "" when there are none
+ */
+function formatRelatedChannels(related) {
+	if (related.length === 0) return "";
+
+	return "\n\n👥 Similar Channels:" + related.slice(0, RELATED_CHANNELS_IN_DESCRIPTION)
+		.map(c => "\n• " + c.displayName + ": " + c.url)
+		.join("");
+}
+
+/**
+ * Parse a regular uploader's profile at /users/<name>, page state first, DOM second
+ * @param {string} url - Normalized user profile URL
+ * @param {{type: string, slug: string}} channel - Output of parseChannelUrl
+ * @returns {Object} - Same shape as getChannelInfo
+ */
+function getUserInfo(url, channel) {
+	var html = httpGET(url, {});
+	let dom = domParser.parseFromString(html);
+	var initials = extractInitials(html) || {};
+	// Only the opened profile; `initials.user` is the logged-in viewer
+	var profile = getProfileModel(initials, "users");
+
+	const nameElement = dom.querySelector("h1");
+	var channelName = profile.displayName || profile.name || profile.username ||
+		(nameElement ? nameElement.textContent.trim() : "") || channel.slug;
+
+	const avatarElement = dom.querySelector(".user-avatar img, .profile-avatar img, img.avatar");
+	var channelThumbnail = profile.thumbURL || profile.avatarURL || profile.avatar ||
+		(avatarElement ? avatarElement.getAttribute("data-src") || avatarElement.getAttribute("src") : "") ||
+		getMetaContent(dom, "og:image") || "";
+
+	const coverElement = dom.querySelector(".profile-cover img, .cover img");
+	var channelBanner = profile.coverURL || profile.cover || profile.coverImage ||
+		(coverElement ? coverElement.getAttribute("data-src") || coverElement.getAttribute("src") : "") || "";
+
+	const bioElement = dom.querySelector(".about-me, .profile-about, .user-about");
+	var channelDescription = profile.about || profile.bio || profile.description ||
+		(bioElement ? bioElement.textContent.trim() : "") || getMetaContent(dom, "og:description") || "";
+
+	var channelSubscribers = getProfileCount(profile.subscribers ?? profile.subscribersCount ?? profile.followers,
+		dom.querySelector(".subscribers-count, [data-role='subscribers-count']"));
+	var channelVideos = getProfileCount(profile.videoCount ?? profile.videosCount ?? profile.videos,
+		dom.querySelector(".videos-count, [data-role='videos-count']"));
+	var channelFavorites = getProfileCount(profile.favoritesCount ?? profile.favoriteVideosCount,
+		dom.querySelector(".favorites-count, [data-role='favorites-count']"));
+
 	// Add channel stats to description
-	if (channelViews > 0 || channelVideos > 0 || channelSubscribers > 0) {
-		channelDescription += "\n\n📊 Channel Stats:";
+	if (channelVideos > 0 || channelFavorites > 0 || channelSubscribers > 0) {
+		channelDescription += (channelDescription ? "\n\n" : "") + "📊 Channel Stats:";
 		if (channelVideos > 0) {
 			channelDescription += "\n• Total Videos: " + channelVideos.toLocaleString();
 		}
-		if (channelViews > 0) {
-			channelDescription += "\n• Total Views: " + channelViews.toLocaleString();
+		if (channelFavorites > 0) {
+			channelDescription += "\n• Favorites: " + channelFavorites.toLocaleString();
 		}
 		if (channelSubscribers > 0) {
 			channelDescription += "\n• Subscribers: " + channelSubscribers.toLocaleString();
 		}
 	}
 
-	// Extract social media links
-	var channelLinks = {};
-	var socialLinksSection = dom.querySelector(".socialLinksSection, section.socialLinksSection");
-	if (socialLinksSection) {
-		var socialLinks = socialLinksSection.querySelectorAll("ul.socialList li a");
-		socialLinks.forEach(function(link) {
-			var href = link.getAttribute("href");
-			if (href && !href.includes("xhamster.com")) {
-				var linkText = link.querySelector(".socialText");
-				var label = linkText ? linkText.textContent.trim() : "";
-
-				// Extract platform name from URL domain
-				var platformName = extractPlatformName(href, label);
-
-				// Use the label if available, otherwise use the extracted platform name
-				var linkLabel = label || platformName;
-
-				if (linkLabel) {
-					channelLinks[linkLabel] = href;
-				}
-			}
-		});
-	}
-
 	return {
 		channelName: channelName,
-		channelThumbnail: channelThumbnail,
-		channelBanner: channelBanner,
+		channelThumbnail: channelThumbnail ? resolveUrl(channelThumbnail, URL_BASE) : "",
+		channelBanner: channelBanner ? resolveUrl(channelBanner, URL_BASE) : "",
 		channelSubscribers: channelSubscribers,
 		channelDescription: channelDescription,
-		channelUrl: normalizePornhubUrl(url),
-		channelLinks: channelLinks
+		channelUrl: getChannelUrl(url),
+		channelLinks: getSocialLinks(dom)
+	}
+}
+
+/**
+ * Read a profile count from the page state, or else from a stats element's text
+ * @param {number|string|undefined} value - Count from the page state
+ * @param {Object|null} element - Stats element to fall back to
+ * @returns {number}
+ */
+function getProfileCount(value, element) {
+	if (value !== undefined && value !== null && value !== "") {
+		return parseCount(value);
 	}
+	return element ? parseCount(element.textContent.trim()) : 0;
 }
 
+/**
+ * Build pseudo-channel info for a category or tag listing
+ * @param {string} url - Normalized category or tag URL
+ * @param {{type: string, slug: string}} channel - Output of parseChannelUrl
+ * @returns {Object} - Same shape as getChannelInfo
+ */
+function getCategoryInfo(url, channel) {
+	var html = httpGET(url, {});
+	let dom = domParser.parseFromString(html);
+	var videos = findVideoThumbProps(extractInitials(html));
+
+	const nameElement = dom.querySelector("h1");
+	var channelName = nameElement ? nameElement.textContent.trim() : "";
+	if (!channelName) {
+		channelName = channel.slug.split("-").map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(" ");
+	}
+
+	var cover = getMetaContent(dom, "og:image") || (videos.length > 0 ? videos[0].thumbURL || videos[0].imageURL : "") || "";
 
+	const descElement = dom.querySelector('meta[name="description"]');
+	var channelDescription = getMetaContent(dom, "og:description") || (descElement ? descElement.getAttribute("content") : "") || "";
+	channelDescription += (channelDescription ? "\n\n" : "") + (channel.type === "categories" ? "📂 Category" : "🏷️ Tag") + " on xHamster";
 
+	return {
+		channelName: channelName,
+		channelThumbnail: cover,
+		channelBanner: cover,
+		channelSubscribers: 0,
+		channelDescription: channelDescription,
+		channelUrl: getChannelUrl(url),
+		channelLinks: {}
+	}
+}
 
 class PornhubVideoPager extends VideoPager {
 	constructor(results, hasMore, path, params, page) {
@@ -1156,20 +2516,35 @@ class PornhubVideoPager extends VideoPager {
 }
 
 
-class PornhubChannelVideosPager extends VideoPager {
-	constructor(results, hasMore, path, params, page) {
-		super(results, hasMore, { path, params,  page});
+class XhamsterSectionPager extends VideoPager {
+	constructor(results, hasMore, path, page) {
+		super(results, hasMore, { path, page });
 	}
 
 	nextPage() {
-		if(this.context.path.includes("/channels/")) {
-			return getChannelVideosPager(this.context.path, this.context.params, (this.context.page ?? 1) + 1);
-		} else if(this.context.path.includes("/model/")) {
-			return getModelVideosPager(this.context.path, this.context.params, (this.context.page ?? 1) + 1);
-		}
-		else {
-			return getPornstarVideosPager(this.context.path, this.context.params, (this.context.page ?? 1) + 1);
-		}
+		return getSectionVideoPager(this.context.path, (this.context.page ?? 1) + 1);
+	}
+}
+
+
+class XhamsterChannelVideosPager extends VideoPager {
+	constructor(results, hasMore, channelUrl, params, page, tab) {
+		super(results, hasMore, { channelUrl, params, page, tab });
+	}
+
+	nextPage() {
+		return getChannelVideosPager(this.context.channelUrl, this.context.params, (this.context.page ?? 1) + 1, this.context.tab);
+	}
+}
+
+
+class XhamsterChannelGalleriesPager extends ContentPager {
+	constructor(results, hasMore, channelUrl, params, page) {
+		super(results, hasMore, { channelUrl, params, page });
+	}
+
+	nextPage() {
+		return getChannelGalleriesPager(this.context.channelUrl, this.context.params, (this.context.page ?? 1) + 1);
 	}
 }
 
@@ -1196,6 +2571,26 @@ class PornhubCommentPager extends CommentPager {
 	}
 }
 
+class XhamsterChannelSearchPager extends VideoPager {
+	constructor(results, hasMore, channelUrl, query, params, page) {
+		super(results, hasMore, { channelUrl, query, params, page });
+	}
+
+	nextPage() {
+		return getChannelSearchPager(this.context.channelUrl, this.context.query, this.context.params, (this.context.page ?? 1) + 1);
+	}
+}
+
+class XhamsterPlaylistPager extends PlaylistPager {
+	constructor(results, hasMore, path, params, page) {
+		super(results, hasMore, { path, params, page });
+	}
+
+	nextPage() {
+		return getPlaylistPager(this.context.path, this.context.params, (this.context.page ?? 1) + 1);
+	}
+}
+
 // Multi-channel pager for combined pornstars/models/channels search
 class PornhubMultiChannelPager extends ChannelPager {
 	constructor(results, hasMore, query, page) {
@@ -1207,11 +2602,16 @@ class PornhubMultiChannelPager extends ChannelPager {
 	}
 }
 
-// Use autocomplete API for channel search (no bot detection, no pagination issues!)
+// Channel kinds covered by channel search, in result order
+const CHANNEL_SEARCH_TYPES = ["pornstars", "channels", "creators"];
+
+// Channel search starts with autocomplete hits (exact names first), then continues
+// into the paginated pornstar, channel and creator search pages
 function getAutocompleteChannelPager(query) {
+	var autocompleteChannels = [];
 	try {
 		// Build autocomplete API URL
-		var apiUrl = URL_BASE + "/api/v1/video/search_autocomplete?pornstars=true&token=" + state.token + "&orientation=straight&q=" + encodeURIComponent(query) + "&alt=0";
+		var apiUrl = URL_BASE + "/api/v1/video/search_autocomplete?pornstars=true&token=" + state.token + "&orientation=" + getOrientation().key + "&q=" + encodeURIComponent(query) + "&alt=0";
 		log("Fetching channel search from autocomplete: " + apiUrl);
 
 		// Use httpGET with options object
@@ -1230,166 +2630,389 @@ function getAutocompleteChannelPager(query) {
 			retries: 3
 		});
 
-		var allChannels = [];
-
-		// Add models
-		if (json.models && Array.isArray(json.models)) {
-			json.models.forEach(function(model) {
-				allChannels.push(new PlatformAuthorLink(
-					new PlatformID(PLATFORM, model.slug, config.id),
-					model.name,
-					URL_BASE + "/model/" + model.slug,
-					"", // No avatar in autocomplete API
-					0   // No subscribers in autocomplete API
-				));
+		// Models are creators on xHamster
+		var groups = [
+			["creators", json.models],
+			["pornstars", json.pornstars],
+			["channels", json.channels]
+		];
+		groups.forEach(function ([type, entries]) {
+			if (!Array.isArray(entries)) return;
+			entries.forEach(function (entry) {
+				var url = entry.slug ? getOrientationPath("/" + type + "/" + entry.slug) : null;
+				// Slugs such as "all" or "new" are listing pages, not channels
+				if (!url || !parseChannelUrl(URL_BASE + url.replace(/^\//, ""))) return;
+				autocompleteChannels.push({
+					subscribers: parseCount(entry.subscribers),
+					name: entry.slug,
+					url: url,
+					displayName: entry.name,
+					avatar: entry.thumbUrl || entry.thumbURL || entry.imageUrl || entry.avatar || ""
+				});
 			});
-			log(`Found ${json.models.length} models`);
-		}
+			log(`Found ${entries.length} ${type} in autocomplete`);
+		});
+	} catch(e) {
+		log("Autocomplete channel search failed: " + e);
+	}
 
-		// Add pornstars
-		if (json.pornstars && Array.isArray(json.pornstars)) {
-			json.pornstars.forEach(function(pornstar) {
-				allChannels.push(new PlatformAuthorLink(
-					new PlatformID(PLATFORM, pornstar.slug, config.id),
-					pornstar.name,
-					URL_BASE + "/pornstars/" + pornstar.slug,
-					"", // No avatar in autocomplete API
-					0   // No subscribers in autocomplete API
-				));
-			});
-			log(`Found ${json.pornstars.length} pornstars`);
-		}
+	// Autocomplete has neither pagination nor (usually) avatars and subscriber counts,
+	// so merge it with the first search results page, which has both
+	var searchResults = searchChannelPages(query, 1);
+	var searchByUrl = {};
+	searchResults.channels.forEach(c => searchByUrl[c.url] = c);
 
-		// Add channels
-		if (json.channels && Array.isArray(json.channels)) {
-			json.channels.forEach(function(channel) {
-				allChannels.push(new PlatformAuthorLink(
-					new PlatformID(PLATFORM, channel.slug, config.id),
-					channel.name,
-					URL_BASE + "/channels/" + channel.slug,
-					"", // No avatar in autocomplete API
-					0   // No subscribers in autocomplete API
-				));
-			});
-			log(`Found ${json.channels.length} channels`);
-		}
+	var seen = {};
+	var allChannels = [];
+	autocompleteChannels.concat(searchResults.channels).forEach(function (c) {
+		if (seen[c.url]) return;
+		seen[c.url] = true;
+
+		var match = searchByUrl[c.url];
+		allChannels.push({
+			...c,
+			avatar: c.avatar || (match ? match.avatar : ""),
+			subscribers: c.subscribers || (match ? match.subscribers : 0)
+		});
+	});
 
-		log(`Found ${allChannels.length} total creators from autocomplete`);
+	log(`Found ${allChannels.length} total creators for first page`);
 
-		// Autocomplete doesn't support pagination, so hasMore is always false
-		return new PornhubMultiChannelPager(allChannels, false, query, 1);
-	} catch(e) {
-		log("Channel search failed: " + e);
-		return new PornhubMultiChannelPager([], false, query, 1);
-	}
+	return new PornhubMultiChannelPager(allChannels.map(toPlatformAuthorLink), searchResults.hasMore, query, 1);
 }
 
-// Search both pornstars and channels (OLD METHOD - using HTML scraping with bot detection)
+// Search pornstars, channels and creators together, one results page of each
 function getMultiChannelPager(query, page) {
 	log(`getMultiChannelPager query=${query} page=${page}`);
 
+	var results = searchChannelPages(query, page);
+
+	log(`Found ${results.channels.length} total creators`);
+
+	return new PornhubMultiChannelPager(results.channels.map(toPlatformAuthorLink), results.hasMore, query, page);
+}
+
+/**
+ * Fetch one search results page per channel kind
+ * @param {string} query - Search terms
+ * @param {number} page - Results page
+ * @returns {{hasMore: boolean, channels: Object[]}} - Channel entries as returned by getChannelsFromSearch
+ */
+function searchChannelPages(query, page) {
 	var allChannels = [];
 	var hasMore = false;
 
-	// Search pornstars
-	try {
-		var pornstarHtml = httpGET(URL_BASE + "/pornstars/search?search=" + encodeURIComponent(query) + "&page=" + page, {});
-		var pornstars = getPornstarsFromSearch(pornstarHtml);
-		allChannels = allChannels.concat(pornstars.channels);
-		hasMore = hasMore || pornstars.hasNextPage;
-		log(`Found ${pornstars.channels.length} pornstars`);
-	} catch(e) {
-		log("Failed to search pornstars: " + e);
+	CHANNEL_SEARCH_TYPES.forEach(function (type) {
+		try {
+			var html = httpGET(getOrientationUrl("/" + type + "/search") + buildQuery({ search: encodeURIComponent(query), page: page }), {});
+			var found = getChannelsFromSearch(html, type, page);
+			allChannels = allChannels.concat(found.channels);
+			hasMore = hasMore || found.hasNextPage;
+			log(`Found ${found.channels.length} ${type}`);
+		} catch(e) {
+			log(`Failed to search ${type}: ` + e);
+		}
+	});
+
+	return {
+		hasMore: hasMore,
+		channels: allChannels
+	};
+}
+
+function toPlatformAuthorLink(c) {
+	return new PlatformAuthorLink(new PlatformID(PLATFORM, getChannelId(c.url, c.name), config.id),
+		c.displayName,
+		resolveUrl(c.url, URL_BASE),
+		c.avatar ?? "",
+		c.subscribers ?? 0);
+}
+
+// Page state keys of the results list on each kind of listing page, most specific first
+const LIST_MODEL_KEYS = {
+	pornstars: ["pornstarsList", "pornstars", "searchResult"],
+	channels: ["channelsList", "channels", "searchResult"],
+	creators: ["creatorsList", "creators", "searchResult"],
+	playlists: ["collectionsList", "collections", "playlistsList", "playlists", "searchResult"]
+};
+
+/**
+ * Find the results list of a listing page in its page state, leaving out nav and sidebar entries
+ * @param {Object} initials - Parsed `window.initials` page state
+ * @param {string} kind - A LIST_MODEL_KEYS key
+ * @returns {{items: Object[], pagination: Object|null}|null} - The list, or null if the page state has none
+ */
+function getListModel(initials, kind) {
+	for (const key of LIST_MODEL_KEYS[kind]) {
+		var model = initials[key];
+		if (Array.isArray(model)) {
+			return { items: model, pagination: null };
+		}
+		if (model && typeof model === "object") {
+			var items = model.items || model.list || model.models || model[kind];
+			if (Array.isArray(items)) {
+				return { items: items, pagination: model.pagination || null };
+			}
+		}
 	}
+	return null;
+}
 
-	// Search channels
-	try {
-		var channelHtml = httpGET(URL_BASE + "/channels/" + encodeURIComponent(query) + "&page=" + page, {});
-		var channels = getChannels(channelHtml);
-		allChannels = allChannels.concat(channels.channels);
-		hasMore = hasMore || channels.hasNextPage;
-		log(`Found ${channels.channels.length} channels`);
-	} catch(e) {
-		log("Failed to search channels: " + e);
+/**
+ * Tell whether a listing has a page after `page`, from the list's pagination model or else the page's "next" link
+ * @param {Object} initials - Parsed `window.initials` page state
+ * @param {{items: Object[], pagination: Object|null}|null} listModel - Output of getListModel
+ * @param {Object} dom - The parsed listing page
+ * @param {number} page - Current page number
+ * @returns {boolean}
+ */
+function hasNextListingPage(initials, listModel, dom, page) {
+	var pagination = (listModel && listModel.pagination) || initials.pagination || null;
+	if (pagination) {
+		var lastPage = parseInt(pagination.maxPage ?? pagination.lastPage ?? pagination.pageCount ?? pagination.totalPages);
+		var currentPage = parseInt(pagination.currentPage ?? pagination.page) || page;
+		if (!isNaN(lastPage)) {
+			return currentPage < lastPage;
+		}
+		if (typeof pagination.hasNext === "boolean") {
+			return pagination.hasNext;
+		}
+	}
+
+	var pageNextNode = dom.querySelector("li.page_next a, a.page-next, .pagination a.next, a[data-page='next'], link[rel='next']");
+	return !!(pageNextNode && pageNextNode.getAttribute("href"));
+}
+
+/**
+ * Parse channel cards of one kind from a search results page, results list model first, DOM second
+ * @param {string} html - The results page HTML
+ * @param {string} type - "pornstars", "channels" or "creators"
+ * @param {number} page - The results page number
+ * @returns {{hasNextPage: boolean, channels: {subscribers: number, name: string, url: string, displayName: string, avatar: string}[]}}
+ */
+function getChannelsFromSearch(html, type, page) {
+	var resultArray = [];
+	var seen = {};
+	var urlPattern = new RegExp("/" + type + "/([^/?#]+)");
+
+	var addChannel = function (url, displayName, avatar, subscribers) {
+		if (!url || !displayName) return;
+		var match = url.match(urlPattern);
+		if (!match || CHANNEL_RESERVED_SLUGS.includes(match[1])) return;
+
+		var path = url.replace(/^https?:\/\/[^/]+/, "").split(/[?#]/)[0];
+		if (seen[path]) return;
+		seen[path] = true;
+
+		resultArray.push({
+			subscribers: parseCount(subscribers),
+			name: decodeURIComponent(match[1]),
+			url: path,
+			displayName: displayName.trim(),
+			avatar: avatar || ""
+		});
+	};
+
+	var initials = extractInitials(html) || {};
+	var listModel = getListModel(initials, type);
+	if (listModel) {
+		listModel.items.forEach(function (node) {
+			if (!node || typeof node !== "object") return;
+			var url = node.pageURL || node.pageUrl || node.link;
+			if (typeof url === "string" && node.name && typeof node.name === "string") {
+				addChannel(url, node.name,
+					node.thumbUrl || node.thumbURL || node.imageURL || node.imageUrl || node.avatar,
+					node.subscribers ?? node.subscribersCount);
+			}
+		});
+	}
+
+	var dom = domParser.parseFromString(html);
+
+	if (!listModel) {
+		// Stay inside the results so header and sidebar links aren't picked up
+		var resultsNode = dom.querySelector("main, #content, .main-wrap") || dom;
+		resultsNode.querySelectorAll(`a[href*='/${type}/']`).forEach(function (linkElement) {
+			var imgElement = linkElement.querySelector("img");
+			var nameElement = linkElement.querySelector(".pornStarName, .performerCardName, .title, .name");
+			var displayName = nameElement ? nameElement.textContent : (linkElement.getAttribute("title") || linkElement.textContent);
+			var subscribersElement = linkElement.querySelector(".subscribers, .subscribersText, .rank_number");
+
+			addChannel(linkElement.getAttribute("href"),
+				displayName || "",
+				imgElement ? (imgElement.getAttribute("data-src") || imgElement.getAttribute("src") || "") : "",
+				subscribersElement ? subscribersElement.textContent.trim() : 0);
+		});
 	}
 
-	log(`Found ${allChannels.length} total creators`);
+	var hasNextPage = resultArray.length > 0 && hasNextListingPage(initials, listModel, dom, page);
+
+	log(`getChannelsFromSearch: Found ${resultArray.length} ${type}`);
+
+	return {
+		hasNextPage: hasNextPage,
+		channels: resultArray
+	};
+}
+
 
-	return new PornhubMultiChannelPager(allChannels.map(c => {
-		return new PlatformAuthorLink(new PlatformID(PLATFORM, c.name, config.id),
-			c.displayName,
-			URL_BASE + c.url,
-			c.avatar ?? "",
-			c.subscribers);
-	}), hasMore, query, page);
+function getPlaylistSearchPager(query, page) {
+	return getPlaylistPager(getOrientationPath("/playlists/search"), { search: encodeURIComponent(query) }, page);
+}
+
+/**
+ * Page through a listing of collections (search results or a profile's collections)
+ * @param {string} path - Listing path
+ * @param {{[key: string]: any}} params - Query params
+ * @param {number} page - Page number
+ * @returns {XhamsterPlaylistPager}
+ */
+function getPlaylistPager(path, params, page) {
+	log(`getPlaylistPager page=${page}`, params);
+	params = { ...params, page };
+
+	var html = httpGET(URL_BASE + path.replace(/^\//, "") + buildQuery(params), {});
+	var found = getPlaylistsFromPage(html, page);
+
+	return new XhamsterPlaylistPager(found.playlists.map(p => {
+		return new PlatformPlaylist({
+			id: new PlatformID(PLATFORM, p.id, config.id),
+			name: p.name,
+			thumbnail: p.thumbnail,
+			author: new PlatformAuthorLink(new PlatformID(PLATFORM, p.author.id, config.id),
+				p.author.name,
+				p.author.url,
+				p.author.avatar),
+			datetime: undefined,
+			url: p.url,
+			videoCount: p.videoCount
+		});
+	}), found.hasNextPage, path, params, page);
 }
 
-// Parse pornstars from search results
-function getPornstarsFromSearch(html) {
+/**
+ * Parse the collection cards of a listing page, results list model first, DOM second
+ * @param {string} html - The listing page HTML
+ * @param {number} page - The listing page number
+ * @returns {{hasNextPage: boolean, playlists: {id: string, name: string, url: string, thumbnail: string, videoCount: number, author: Object}[]}}
+ */
+function getPlaylistsFromPage(html, page) {
+	var playlists = [];
+	var seen = {};
+
+	var addPlaylist = function (url, name, thumbnail, videoCount, author) {
+		if (!url || !name) return;
+		url = resolveUrl(url, URL_BASE);
+		var playlist = parsePlaylistUrl(url);
+		if (!playlist || seen[playlist.id]) return;
+		seen[playlist.id] = true;
+
+		playlists.push({
+			id: playlist.id,
+			name: name.trim(),
+			url: normalizeXhamsterUrl(url),
+			thumbnail: thumbnail || "",
+			videoCount: parseCount(videoCount),
+			author: toAuthorInfo(author)
+		});
+	};
+
+	var initials = extractInitials(html) || {};
+	var listModel = getListModel(initials, "playlists");
+	if (listModel) {
+		listModel.items.forEach(function (node) {
+			if (!node || typeof node !== "object") return;
+			var url = node.pageURL || node.pageUrl || node.link || node.url;
+			if (typeof url !== "string") return;
+			addPlaylist(url, node.title || node.name,
+				node.thumbURL || node.thumbUrl || node.imageURL || node.coverURL,
+				node.videoCount ?? node.videosCount ?? node.count,
+				node.author || node.user || node.owner);
+		});
+	}
+
 	var dom = domParser.parseFromString(html);
-	var resultArray = [];
-
-	// Try multiple possible selectors for pornstar search results
-	var pornstarElements = dom.querySelectorAll("div.pornstarsSearchResult li, ul.pornstars-list li, li.pornstar-item, div.performerCard");
 
-	if (pornstarElements.length === 0) {
-		log("No pornstar elements found with standard selectors");
-		return { hasNextPage: false, channels: [] };
+	if (!listModel) {
+		var resultsNode = dom.querySelector("main, #content, .main-wrap") || dom;
+		resultsNode.querySelectorAll("a[href*='/playlists/'], a[href*='/collections/']").forEach(function (link) {
+			var imgElement = link.querySelector("img");
+			var titleElement = link.querySelector(".title, .name");
+			var countElement = link.querySelector(".count, .videos-count");
+			addPlaylist(link.getAttribute("href"),
+				titleElement ? titleElement.textContent : (link.getAttribute("title") || ""),
+				imgElement ? (imgElement.getAttribute("data-src") || imgElement.getAttribute("src")) : "",
+				countElement ? parseCount(countElement.textContent) : 0,
+				null);
+		});
 	}
 
-	pornstarElements.forEach(function(li) {
-		var linkElement = li.querySelector("a");
-		if (!linkElement) return;
-
-		var url = linkElement.getAttribute("href");
-		if (!url || !url.includes("/pornstars/")) return;
+	log(`getPlaylistsFromPage: Found ${playlists.length} playlists`);
+	return {
+		hasNextPage: playlists.length > 0 && hasNextListingPage(initials, listModel, dom, page),
+		playlists: playlists
+	};
+}
 
-		var imgElement = li.querySelector("img");
-		var avatar = imgElement ? (imgElement.getAttribute("data-src") || imgElement.getAttribute("src") || "") : "";
+/**
+ * Parse a collection page's title, cover, author and video count
+ * @param {string} html - The collection page HTML
+ * @param {string} url - The collection URL
+ * @param {string} id - The collection ID, used as a fallback name
+ * @returns {{name: string, thumbnail: string, videoCount: number, author: Object}}
+ */
+function getPlaylistInfo(html, url, id) {
+	var initials = extractInitials(html) || {};
+	var dom = domParser.parseFromString(html);
+	var collection = initials.collection || initials.playlist || initials.favoritesList || {};
+	var videos = findVideoThumbProps(initials);
 
-		// Try different selectors for name
-		var nameElement = li.querySelector(".pornStarName, .performerCardName, .title");
-		var displayName = nameElement ? nameElement.textContent.trim() : "";
-		if (!displayName && linkElement.getAttribute("title")) {
-			displayName = linkElement.getAttribute("title");
-		}
+	var nameElement = dom.querySelector("h1");
+	var name = collection.title || collection.name || (nameElement ? nameElement.textContent.trim() : "") || getMetaContent(dom, "og:title") || id;
 
-		// Try different selectors for subscriber count
-		var rankElement = li.querySelector(".rank_number, .subscribers, .subscribersText");
-		var subscribers = 0;
-		if (rankElement) {
-			var subsText = rankElement.textContent.trim();
-			subscribers = subsText.includes("K") || subsText.includes("M") ? parseNumberSuffix(subsText) : parseInt(subsText) || 0;
-		}
+	var thumbnail = collection.thumbURL || collection.coverURL || collection.imageURL ||
+		(videos.length > 0 ? videos[0].thumbURL || videos[0].imageURL : "") || getMetaContent(dom, "og:image") || "";
 
-		var name = url ? url.split("/").filter(s => s).pop() : displayName;
+	var rawVideoCount = collection.videoCount ?? collection.videosCount ?? collection.count;
+	var videoCount = rawVideoCount != null ? parseCount(rawVideoCount) : videos.length;
 
-		if (url && displayName) {
-			resultArray.push({
-				subscribers: subscribers,
-				name: name,
-				url: url,
-				displayName: displayName,
-				avatar: avatar
-			});
+	var author = collection.author || collection.user || collection.owner;
+	if (!author) {
+		const authorLink = dom.querySelector("a[href*='/users/'], a[href*='/creators/']");
+		if (authorLink) {
+			author = { name: authorLink.textContent.trim(), pageURL: authorLink.getAttribute("href") };
 		}
-	});
+	}
+
+	return {
+		name: name,
+		thumbnail: thumbnail,
+		videoCount: videoCount,
+		author: toAuthorInfo(author)
+	};
+}
 
-	var hasNextPage = false;
-	var pageNextNode = dom.querySelector("li.page_next a, a.page-next, .pagination a.next");
-	if (pageNextNode && pageNextNode.getAttribute("href") && pageNextNode.getAttribute("href") !== "") {
-		hasNextPage = true;
+/**
+ * Normalize an author object from the page state ({name, pageURL, thumbURL, ...})
+ * @param {Object|null} author
+ * @returns {{id: string, name: string, url: string, avatar: string}}
+ */
+function toAuthorInfo(author) {
+	if (!author || !author.name) {
+		return { id: "", name: "", url: "", avatar: "" };
 	}
 
-	log(`getPornstarsFromSearch: Found ${resultArray.length} pornstars`);
+	var url = author.pageURL || author.pageUrl || author.link || author.url || "";
+	url = url ? resolveUrl(url, URL_BASE) : "";
 
 	return {
-		hasNextPage: hasNextPage,
-		channels: resultArray
+		id: getChannelId(url, author.name),
+		name: author.name,
+		url: url,
+		avatar: author.thumbURL || author.thumbUrl || author.avatar || ""
 	};
 }
 
-
 function getChannelPager(path, params, page) {
 
 	log(`getChannelPager page=${page}`, params)
@@ -1426,7 +3049,7 @@ function getChannels(html) {
 			var avatar = li.querySelector("div.avatar a.usernameLink img").getAttribute("src");
 			var displayName = li.querySelector("div.descriptionContainer li a.usernameLink").textContent.trim()
 			var url = li.querySelector("div.descriptionContainer li a.usernameLink").getAttribute("href");
-			var subscribers = parseInt(li.querySelector("div.descriptionContainer li span").textContent.trim().replace(/\,/, ""));
+			var subscribers = parseCount(li.querySelector("div.descriptionContainer li span").textContent.trim());
 			var name = url.split("/")[1];
 
 			resultArray.push({
@@ -1451,473 +3074,309 @@ function getChannels(html) {
 	};
 }
 
-// todo: maybe improve?
-function getChannelVideosPager(path, params, page) {
-	log(`getChannelVideosPager page=${page}`, params)
-
-	const count = 36;
-	const page_end = (page ?? 1) * count;
-	params = { ... params, page }
-
-	const url = path;
-	const urlWithParams = `${url}${buildQuery(params)}`;
+// Channel listing pages scanned per searchChannelContents page before giving up on finding matches
+const CHANNEL_SEARCH_PAGES_PER_REQUEST = 3;
 
-	var html = httpGET(urlWithParams, {});
+/**
+ * Get the path of a channel's upload listing
+ * @param {string} channelUrl - Normalized channel URL
+ * @param {string} [tab="videos"] - Content tab: "videos", "moments", "photos" or "favorites". Categories and tags only list videos.
+ * @returns {string} - e.g. "/creators/some-name", "/creators/some-name/photos" or "/users/name/videos"
+ */
+function getChannelVideosPath(channelUrl, tab = "videos") {
+	var channel = parseChannelUrl(channelUrl);
+	var path = getChannelPath(channelUrl);
 
-	// Use getVideos() with class selector since channel pages use the same structure as regular video pages
-	var dom = domParser.parseFromString(html);
+	if (channel.type === "categories" || channel.type === "tags") {
+		return path;
+	}
+	if (tab === "favorites") {
+		return path + "/favorites/videos";
+	}
+	if (tab !== "videos") {
+		return path + "/" + tab;
+	}
+	return channel.type === "users" ? path + "/videos" : path;
+}
 
-	// Try specific IDs first (these are guaranteed to have videos)
-	var ulElement = dom.getElementById("mostRecentVideosSection") || dom.getElementById("moreData");
-
-	// If no ID found, try querySelectorAll and find first non-empty ul
-	if (!ulElement) {
-		var ulElements = dom.querySelectorAll("ul.full-row-thumbs.videos, ul.videos.full-row-thumbs");
-		for (var i = 0; i < ulElements.length; i++) {
-			var testUl = ulElements[i];
-			if (testUl.querySelectorAll("li.pcVideoListItem").length > 0) {
-				ulElement = testUl;
-				break;
-			}
+/**
+ * Fetch a page of a channel listing that puts the page number in the path
+ * @param {string} path - Listing path, without page number
+ * @param {{[key: string]: string}} params - Listing query params
+ * @param {number} page - Page number
+ * @returns {string|null} - Page HTML, or null past the last page
+ */
+function getChannelListingPage(path, params, page) {
+	try {
+		return httpGET(URL_BASE + path.replace(/^\//, "") + (page > 1 ? "/" + page : "") + buildQuery(params), {});
+	} catch (e) {
+		// Listing pages past the last one are served as 404s
+		if (page > 1 && e instanceof UnavailableException) {
+			return null;
 		}
+		throw e;
 	}
+}
 
-	if (!ulElement) {
-		log("Warning: Could not find ul.full-row-thumbs.videos, trying old getChannelContents method");
-		var vids = getChannelContents(html);
-		return _buildPornhubChannelVideosPager(vids, vids.totalElemsPages > page_end, path, params, page);
-	}
+/**
+ * Page through a channel's uploads. Channel listings put the page number in the path
+ * ("/creators/some-name/2", "/users/name/videos/2").
+ * @param {string} channelUrl - Normalized channel URL
+ * @param {{[key: string]: string}} params - Listing query params
+ * @param {number} page - Page number
+ * @param {string} [tab="videos"] - "videos", "moments" or "favorites"
+ * @returns {XhamsterChannelVideosPager}
+ */
+function getChannelVideosPager(channelUrl, params, page, tab = "videos") {
+	log(`getChannelVideosPager url=${channelUrl} tab=${tab} page=${page}`, params);
 
-	// Parse videos using the same logic as getVideos but adapted for channel pages
-	var resultArray = [];
-	var authorName = path.split("/")[4]; // Extract channel name from path
-	var authorInfo = {
-		authorName: authorName,
-		avatar: ""
-	};
+	var html = getChannelListingPage(getChannelVideosPath(channelUrl, tab), params, page);
+	if (html === null) {
+		return new XhamsterChannelVideosPager([], false, channelUrl, params, page, tab);
+	}
 
-	ulElement.querySelectorAll("li.pcVideoListItem").forEach(function (li) {
-		const videoId = li.getAttribute("data-video-id");
-		if (videoId && !isNaN(videoId)) {
-			const aElement = li.querySelector('a.js-linkVideoThumb');
-			if (aElement) {
-				const videoUrl = aElement.getAttribute('href');
-				const imgElement = aElement.querySelector('img.js-videoThumb');
-				if (imgElement && videoUrl) {
-					const thumbnailUrl = imgElement.getAttribute('src');
-					const title = imgElement.getAttribute("alt") || imgElement.getAttribute("data-title") || aElement.getAttribute("data-title");
-					const durationVar = aElement.querySelector(".duration");
-					const durationStr = durationVar ? durationVar.textContent.trim() : "0:00";
-					const duration = parseDuration(durationStr);
-					const viewsSpan = li.querySelector(".views var");
-					const viewsStr = viewsSpan ? viewsSpan.textContent.trim() : "0";
-					const views = parseNumberSuffix(viewsStr);
+	var vids = getVideos(html, "mostRecentVideosSection");
 
-					resultArray.push({
-						id: videoId,
-						videoUrl: videoUrl,
-						title: title,
-						thumbnailUrl: thumbnailUrl,
-						duration: duration,
-						authorInfo: authorInfo,
-						views: views,
-					});
-				}
-			}
+	// Cards on a channel's own listing usually omit the uploader
+	var channel = parseChannelUrl(channelUrl);
+	var ownsUploads = channel.type !== "categories" && channel.type !== "tags" && tab !== "favorites";
+	var videos = vids.videos.map(function (v) {
+		if (ownsUploads && !v.authorInfo.authorName) {
+			v.authorInfo = { channel: channelUrl, authorName: channel.slug };
 		}
+		return toPlatformVideo(v);
 	});
 
-	var vids = {
-		videos: resultArray,
-		totalElemsPages: resultArray.length
-	};
-	return _buildPornhubChannelVideosPager(vids, resultArray.length >= count, path, params, page);
+	return new XhamsterChannelVideosPager(videos, videos.length > 0, channelUrl, params, page, tab);
 }
 
-function getModelVideosPager(path, params, page) {
-	log(`getModelVideosPager page=${page}`, params)
-	params = { ... params, page }
-
-	const url = path;
-	const urlWithParams = `${url}${buildQuery(params)}`;
-
-	var html = httpGET(urlWithParams, {});
-
-	// Try new structure first (same as regular video pages)
-	var dom = domParser.parseFromString(html);
+/**
+ * Page through a channel's photo galleries
+ * @param {string} channelUrl - Normalized channel URL
+ * @param {{[key: string]: string}} params - Listing query params
+ * @param {number} page - Page number
+ * @returns {XhamsterChannelGalleriesPager}
+ */
+function getChannelGalleriesPager(channelUrl, params, page) {
+	log(`getChannelGalleriesPager url=${channelUrl} page=${page}`, params);
 
-	// Try specific IDs first (these are guaranteed to have videos)
-	var ulElement = dom.getElementById("mostRecentVideosSection") || dom.getElementById("moreData");
-
-	// If no ID found, try querySelectorAll and find first non-empty ul
-	if (!ulElement) {
-		var ulElements = dom.querySelectorAll("ul.full-row-thumbs.videos, ul.videos.full-row-thumbs");
-		for (var i = 0; i < ulElements.length; i++) {
-			var testUl = ulElements[i];
-			if (testUl.querySelectorAll("li.pcVideoListItem").length > 0) {
-				ulElement = testUl;
-				break;
-			}
-		}
+	var html = getChannelListingPage(getChannelVideosPath(channelUrl, "photos"), params, page);
+	if (html === null) {
+		return new XhamsterChannelGalleriesPager([], false, channelUrl, params, page);
 	}
 
-	if (ulElement) {
-		log("Using new ul.full-row-thumbs.videos structure for model page");
-		var resultArray = [];
-		var authorName = path.split("/")[4]; // Extract model name from path
-		var authorInfo = {
-			authorName: authorName,
-			avatar: ""
-		};
-
-		const count = 40;
-		ulElement.querySelectorAll("li.pcVideoListItem").forEach(function (li) {
-			const videoId = li.getAttribute("data-video-id");
-			if (videoId && !isNaN(videoId)) {
-				const aElement = li.querySelector('a.js-linkVideoThumb');
-				if (aElement) {
-					const videoUrl = aElement.getAttribute('href');
-					const imgElement = aElement.querySelector('img.js-videoThumb');
-					if (imgElement && videoUrl) {
-						const thumbnailUrl = imgElement.getAttribute('src');
-						const title = imgElement.getAttribute("alt") || imgElement.getAttribute("data-title") || aElement.getAttribute("data-title");
-						const durationVar = aElement.querySelector(".duration");
-						const durationStr = durationVar ? durationVar.textContent.trim() : "0:00";
-						const duration = parseDuration(durationStr);
-						const viewsSpan = li.querySelector(".views var");
-						const viewsStr = viewsSpan ? viewsSpan.textContent.trim() : "0";
-						const views = parseNumberSuffix(viewsStr);
-
-						resultArray.push({
-							id: videoId,
-							videoUrl: videoUrl,
-							title: title,
-							thumbnailUrl: thumbnailUrl,
-							duration: duration,
-							authorInfo: authorInfo,
-							views: views,
-						});
-					}
-				}
-			}
+	var channel = parseChannelUrl(channelUrl);
+	var author = new PlatformAuthorLink(new PlatformID(PLATFORM, getChannelId(channelUrl), config.id), channel.slug, channelUrl);
+	var posts = getGalleries(html).map(function (g) {
+		return new PlatformPost({
+			id: new PlatformID(PLATFORM, g.id, config.id),
+			name: g.title,
+			author: author,
+			datetime: g.datetime,
+			url: g.url,
+			description: g.photoCount ? g.photoCount + " photos" : "",
+			images: g.thumbnailUrl ? [g.thumbnailUrl] : [],
+			thumbnails: g.thumbnailUrl ? [new Thumbnails([new Thumbnail(g.thumbnailUrl, 0)])] : []
 		});
+	});
 
-		var vids = {
-			videos: resultArray,
-			hasNextPage: resultArray.length >= count
-		};
-		return _buildPornhubChannelVideosPager(vids, vids.hasNextPage, path, params, page);
-	}
-
-	// Fallback to old structure
-	log("Using old getModelContents structure for model page");
-	var vids = getModelContents(html);
-	return _buildPornhubChannelVideosPager(vids, vids.hasNextPage, path, params, page)
+	return new XhamsterChannelGalleriesPager(posts, posts.length > 0, channelUrl, params, page);
 }
 
-function getPornstarVideosPager(path, params, page) {
-	log(`getPornstarVideosPager page=${page}`, params)
-
-	const count = 40;
-	const page_end = (page ?? 1) * count;
-	params = { ... params, page }
-
-	const url = path;
-	const urlWithParams = `${url}${buildQuery(params)}`;
-
-	var html = httpGET(urlWithParams, {});
-
-	// Try new structure first (same as regular video pages)
-	var dom = domParser.parseFromString(html);
-
-	// Try specific IDs first (these are guaranteed to have videos)
-	var ulElement = dom.getElementById("mostRecentVideosSection") || dom.getElementById("moreData");
-
-	// If no ID found, try querySelectorAll and find first non-empty ul
-	if (!ulElement) {
-		var ulElements = dom.querySelectorAll("ul.full-row-thumbs.videos, ul.videos.full-row-thumbs");
-		for (var i = 0; i < ulElements.length; i++) {
-			var testUl = ulElements[i];
-			if (testUl.querySelectorAll("li.pcVideoListItem").length > 0) {
-				ulElement = testUl;
-				break;
-			}
-		}
+/**
+ * Get the photo gallery cards of a listing page, from the page state or else the gallery links
+ * @param {string} html - Listing page HTML
+ * @returns {{id: string, url: string, title: string, thumbnailUrl: string, photoCount: number, datetime: number|undefined}[]}
+ */
+function getGalleries(html) {
+	var galleries = [];
+	var seen = {};
+
+	forEachNestedObject(extractInitials(html), function (node) {
+		var pageUrl = node.pageURL || node.galleryURL;
+		if (!node.id || typeof pageUrl !== "string" || !pageUrl.includes("/photos/gallery/") || seen[node.id]) return;
+		seen[node.id] = true;
+		galleries.push({
+			id: `${node.id}`,
+			url: resolveUrl(pageUrl, URL_BASE),
+			title: node.title || "",
+			thumbnailUrl: node.thumbURL || node.imageURL || "",
+			photoCount: parseCount(node.quantity ?? node.photosCount),
+			datetime: parseInt(node.created) || undefined
+		});
+	});
+	if (galleries.length > 0) {
+		return galleries;
 	}
 
-	if (ulElement) {
-		log("Using new ul.full-row-thumbs.videos structure for pornstar page");
-		var resultArray = [];
-		var authorName = path.split("/")[4]; // Extract pornstar name from path
-		var authorInfo = {
-			authorName: authorName,
-			avatar: ""
-		};
-
-		ulElement.querySelectorAll("li.pcVideoListItem").forEach(function (li) {
-			const videoId = li.getAttribute("data-video-id");
-			if (videoId && !isNaN(videoId)) {
-				const aElement = li.querySelector('a.js-linkVideoThumb');
-				if (aElement) {
-					const videoUrl = aElement.getAttribute('href');
-					const imgElement = aElement.querySelector('img.js-videoThumb');
-					if (imgElement && videoUrl) {
-						const thumbnailUrl = imgElement.getAttribute('src');
-						const title = imgElement.getAttribute("alt") || imgElement.getAttribute("data-title") || aElement.getAttribute("data-title");
-						const durationVar = aElement.querySelector(".duration");
-						const durationStr = durationVar ? durationVar.textContent.trim() : "0:00";
-						const duration = parseDuration(durationStr);
-						const viewsSpan = li.querySelector(".views var");
-						const viewsStr = viewsSpan ? viewsSpan.textContent.trim() : "0";
-						const views = parseNumberSuffix(viewsStr);
-
-						resultArray.push({
-							id: videoId,
-							videoUrl: videoUrl,
-							title: title,
-							thumbnailUrl: thumbnailUrl,
-							duration: duration,
-							authorInfo: authorInfo,
-							views: views,
-						});
-					}
-				}
-			}
+	var dom = domParser.parseFromString(html, "text/html");
+	dom.querySelectorAll("a[href*='/photos/gallery/']").forEach(function (a) {
+		var url = resolveUrl(a.getAttribute("href"), URL_BASE).split(/[?#]/)[0];
+		var id = getGalleryIdFromUrl(url) || url;
+		var img = a.querySelector("img");
+		var title = (a.getAttribute("title") || (img && img.getAttribute("alt")) || a.textContent || "").trim();
+		if (seen[id] || !title) return;
+		seen[id] = true;
+		galleries.push({
+			id: id,
+			url: url,
+			title: title,
+			thumbnailUrl: img ? (img.getAttribute("data-src") || img.getAttribute("src") || "") : "",
+			photoCount: 0,
+			datetime: undefined
 		});
+	});
 
-		var vids = {
-			videos: resultArray,
-			totalElemsPages: resultArray.length
-		};
-		return _buildPornhubChannelVideosPager(vids, resultArray.length >= count, path, params, page);
-	}
-
-	// Fallback to old structure
-	log("Using old getPornstarContents structure for pornstar page");
-	var vids = getPornstarContents(html);
-	return _buildPornhubChannelVideosPager(vids, vids.totalElemsPages > page_end, path, params, page)
+	return galleries;
 }
 
-function _buildPornhubChannelVideosPager(vids, hasNextPage, path, params, page) {
-	// Extract the channel URL from the path (remove /videos or /videos/upload suffix)
-	var channelUrl = path.replace(/\/videos.*$/, '');
-
-	return new PornhubChannelVideosPager(vids.videos.map(v => {
-		return new PlatformVideo({
-			id: new PlatformID(PLATFORM, v.id, config.id),
-			name: v.title ?? "",
-			thumbnails: new Thumbnails([new Thumbnail(v.thumbnailUrl, 0)]),
-			author: new PlatformAuthorLink(new PlatformID(PLATFORM, v.authorInfo.authorName, config.id),
-				v.authorInfo.authorName,
-				channelUrl,
-				v.authorInfo.avatar),
-			datetime: undefined,
-			duration: v.duration,
-			viewCount: v.views,
-			url: URL_BASE + v.videoUrl,
-			isLive: false
-		});
+/**
+ * Get the ID of a photo gallery URL
+ * @param {string} url - e.g. https://xhamster.com/photos/gallery/some-name-12345
+ * @returns {string|null} - The gallery ID, or null if not a gallery URL
+ */
+function getGalleryIdFromUrl(url) {
+	if (!url || !isXhamsterUrl(url)) return null;
 
-	}), hasNextPage, path, params, page);
+	var path = normalizeXhamsterUrl(url).replace("https://xhamster.com", "").split(/[?#]/)[0];
+	var match = path.match(/^\/photos\/gallery\/(?:[^/]*-)?(\d+)\/?$/);
+	return match ? match[1] : null;
 }
 
-
-function getChannelContents(html) {
+/**
+ * Open a photo gallery as a post with its photos, page state first, page meta second
+ * @param {string} url - Normalized gallery URL
+ * @returns {PlatformPostDetails}
+ */
+function getGalleryDetails(url) {
+	var html = httpGET(url, {});
 	var dom = domParser.parseFromString(html);
-
-	var statsNodes = dom.querySelectorAll("div#stats div.info.floatRight");
-
-	var total = (statsNodes && statsNodes[2]) ? parseInt(statsNodes[2].textContent.split(" VIDEOS")[0]) : 0;
-
-	var resultArray = []
-
-	const nameElement = dom.querySelector("div.title h1");
-	const avatarElement = dom.querySelector("img#getAvatar");
-
-	var authorInfo = {
-		authorName: nameElement ? nameElement.textContent.trim() : "",
-		avatar: avatarElement ? avatarElement.getAttribute("href") : ""
+	var initials = extractInitials(html) || {};
+	var gallery = initials.photosGalleryModel || initials.galleryModel || initials.gallery || {};
+
+	var photos = [gallery.photos, initials.photos, initials.photosList].find(list => Array.isArray(list)) || [];
+	var images = photos
+		.map(photo => typeof photo === "string" ? photo : photo && (photo.imageURL || photo.url || photo.src || photo.thumbURL))
+		.filter(imageUrl => imageUrl)
+		.map(imageUrl => resolveUrl(imageUrl, URL_BASE));
+	if (images.length === 0 && getMetaContent(dom, "og:image")) {
+		images = [getMetaContent(dom, "og:image")];
 	}
 
-	const videosContainer = dom.getElementById("showAllChanelVideos");
-	if (!videosContainer) return { totalElemsPages: total, videos: resultArray };
-
-	videosContainer.childNodes.forEach((li) => {
-		if (!li) return;
-
-		const titleElement = li.querySelector("span.title a");
-		if (!titleElement) return;
-
-		var title = titleElement.textContent.trim();
-		var videoUrl = titleElement.getAttribute("href");
-		if (!videoUrl) return;
-
-		const imgElement = li.querySelector("img");
-		var thumbnailUrl = imgElement ? imgElement.getAttribute("src") : "";
-
-		var videoId = li.getAttribute("data-video-id");
-		if (!videoId) return;
-
-		const durationElement = li.querySelector("var.duration");
-		var duration = durationElement ? parseDuration(durationElement.textContent.trim()) : 0;
-
-		const viewsElement = li.querySelector("div.videoDetailsBlock span.views var");
-		var views = viewsElement ? parseStringWithKorMSuffixes(viewsElement.textContent.trim()) : 0;
-
-		resultArray.push({
-			id: videoId,
-			videoUrl: videoUrl,
-			title: title,
-			thumbnailUrl: thumbnailUrl,
-			duration: duration,
-			authorInfo: authorInfo,
-			views: views,
-		});
-
+	var author = toAuthorInfo(gallery.author || gallery.user || initials.author);
+	var title = gallery.title || getMetaContent(dom, "og:title") || "";
+	var description = gallery.description || getMetaContent(dom, "og:description") || "";
+
+	return new PlatformPostDetails({
+		id: new PlatformID(PLATFORM, getGalleryIdFromUrl(url), config.id),
+		name: title,
+		author: new PlatformAuthorLink(new PlatformID(PLATFORM, author.id, config.id),
+			author.name,
+			author.url,
+			author.avatar),
+		datetime: parseInt(gallery.created) || undefined,
+		url: url,
+		description: description,
+		images: images,
+		thumbnails: images.map(imageUrl => new Thumbnails([new Thumbnail(imageUrl, 0)])),
+		rating: undefined,
+		textType: Type.Text.RAW,
+		content: description
 	});
-
-	return {
-		totalElemsPages: total,
-		videos: resultArray
-	};
 }
 
-function getPornstarContents(html) {
-	var dom = domParser.parseFromString(html);
-
-	// "Showing 1-40 of 52"
-	const showingInfoElement = dom.querySelector("div.showingInfo");
-	var total = 0;
-	if (showingInfoElement) {
-		var showingInfo = showingInfoElement.textContent.trim();
-		if (showingInfo.length > 0 && showingInfo.includes(" of ")) {
-			// "52"
-			total = parseInt(showingInfo.split(" of ").slice(-1), 10);
+/**
+ * Search a channel's uploads. The site has no per-channel search, so this pages through the
+ * channel's listing in the requested sort order and keeps the videos whose title matches every query term.
+ * @param {string} channelUrl - Normalized channel URL
+ * @param {string} query - Search terms
+ * @param {{[key: string]: string}} params - Listing query params (see getSearchParams)
+ * @param {number} page - First channel listing page to scan
+ * @returns {XhamsterChannelSearchPager}
+ */
+function getChannelSearchPager(channelUrl, query, params, page) {
+	log(`getChannelSearchPager query=${query} page=${page}`, params);
+
+	var terms = query.toLowerCase().split(/\s+/).filter(term => term);
+	var path = getChannelVideosPath(channelUrl);
+	var matches = [];
+	var hasMore = true;
+	var lastPage = page;
+
+	for (var scanned = 0; scanned < CHANNEL_SEARCH_PAGES_PER_REQUEST && hasMore && matches.length === 0; scanned++) {
+		lastPage = page + scanned;
+		var html = getChannelListingPage(path, params, lastPage);
+		if (html === null) {
+			hasMore = false;
+			break;
 		}
-	}
+		var vids = getVideos(html, "mostRecentVideosSection");
 
-	var resultArray = []
-
-	const nameElement = dom.querySelector("h1[itemprop=name]");
-	const avatarElement = dom.querySelector("img#getAvatar");
-
-	var authorInfo = {
-		authorName: nameElement ? nameElement.textContent.trim() : "",
-		avatar: avatarElement ? avatarElement.getAttribute("src") : ""
+		hasMore = vids.videos.length > 0;
+		matches = vids.videos.filter(function (v) {
+			var title = (v.title ?? "").toLowerCase();
+			return terms.every(term => title.includes(term));
+		});
 	}
 
-	const videoListContainer = dom.querySelector("div.videoUList > ul");
-	if (!videoListContainer) return { totalElemsPages: total, videos: resultArray };
+	log(`getChannelSearchPager found ${matches.length} matches up to page ${lastPage}`);
 
-	videoListContainer.childNodes.forEach((li) => {
-		if (!li) return;
-
-		const titleElement = li.querySelector("span.title a");
-		if (!titleElement) return;
-
-		var title = titleElement.textContent.trim();
-		var videoUrl = titleElement.getAttribute("href");
-		if (!videoUrl) return;
-
-		const imgElement = li.querySelector("img");
-		var thumbnailUrl = imgElement ? imgElement.getAttribute("src") : "";
-
-		var videoId = li.getAttribute("data-video-id");
-		if (!videoId) return;
-
-		const durationElement = li.querySelector("var.duration");
-		var duration = durationElement ? parseDuration(durationElement.textContent.trim()) : 0;
-
-		const viewsElement = li.querySelector("div.videoDetailsBlock span.views var");
-		var views = viewsElement ? parseStringWithKorMSuffixes(viewsElement.textContent.trim()) : 0;
-
-		resultArray.push({
-			id: videoId,
-			videoUrl: videoUrl,
-			title: title,
-			thumbnailUrl: thumbnailUrl,
-			duration: duration,
-			authorInfo: authorInfo,
-			views: views,
-		});
+	return new XhamsterChannelSearchPager(matches.map(toPlatformVideo), hasMore, channelUrl, query, params, lastPage);
+}
 
+/**
+ * Build a PlatformVideo from a video entry as returned by getVideos
+ * @param {Object} v - The video entry
+ * @returns {PlatformVideo}
+ */
+function toPlatformVideo(v) {
+	return new PlatformVideo({
+		id: new PlatformID(PLATFORM, v.id, config.id),
+		name: v.title ?? "",
+		thumbnails: new Thumbnails([new Thumbnail(v.thumbnailUrl, 0)]),
+		author: new PlatformAuthorLink(new PlatformID(PLATFORM, getChannelId(v.authorInfo.channel, v.authorInfo.authorName), config.id),
+			v.authorInfo.authorName,
+			v.authorInfo.channel),
+		datetime: undefined,
+		duration: v.duration,
+		viewCount: v.views,
+		url: v.videoUrl,
+		isLive: false,
+		rating: v.rating
 	});
-
-	return {
-		totalElemsPages: total,
-		videos: resultArray
-	};
 }
 
-function getModelContents(html) {
-	var dom = domParser.parseFromString(html);
-	var hasNextPage;
-
-	const pageNext = dom.querySelector("li.page_next > a");
-	if (pageNext) {
-		hasNextPage = pageNext.getAttribute("href") !== "";
-	} else {
-		hasNextPage = false;
-	}
-
-	var resultArray = []
-
-	const nameElement = dom.querySelector("h1[itemprop=name]");
-	const avatarElement = dom.querySelector("img#getAvatar");
+/**
+ * Page through a ranked listing that puts the page number in the path ("/best/weekly/2")
+ * @param {string} path - Listing path, without page number
+ * @param {number} page - Page number
+ * @returns {XhamsterSectionPager}
+ */
+function getSectionVideoPager(path, page) {
+	log(`getSectionVideoPager path=${path} page=${page}`);
 
-	var authorInfo = {
-		authorName: nameElement ? nameElement.textContent.trim() : "",
-		avatar: avatarElement ? avatarElement.getAttribute("src") : ""
+	var url = URL_BASE + path.replace(/^\//, "") + (page > 1 ? "/" + page : "");
+	var html;
+	try {
+		html = httpGET(url, {});
+	} catch (e) {
+		// Listing pages past the last one are served as 404s
+		if (page > 1 && e instanceof UnavailableException) {
+			return new XhamsterSectionPager([], false, path, page);
+		}
+		throw e;
 	}
 
-	const videoListContainer = dom.querySelector("div.videoUList > ul");
-	if (!videoListContainer) return { hasNextPage: hasNextPage, videos: resultArray };
-
-	videoListContainer.childNodes.forEach((li) => {
-		if (!li) return;
+	var vids = getVideos(html, "videoCategory");
 
-		const titleElement = li.querySelector("span.title a");
-		if (!titleElement) return;
-
-		var title = titleElement.textContent.trim();
-		var videoUrl = titleElement.getAttribute("href");
-		if (!videoUrl) return;
-
-		const imgElement = li.querySelector("img");
-		var thumbnailUrl = imgElement ? imgElement.getAttribute("src") : "";
-
-		var videoId = li.getAttribute("data-video-id");
-		if (!videoId) return;
-
-		const durationElement = li.querySelector("var.duration");
-		var duration = durationElement ? parseDuration(durationElement.textContent.trim()) : 0;
-
-		const viewsElement = li.querySelector("div.videoDetailsBlock span.views var");
-		var views = viewsElement ? parseStringWithKorMSuffixes(viewsElement.textContent.trim()) : 0;
-
-		resultArray.push({
-			id: videoId,
-			videoUrl: videoUrl,
-			title: title,
-			thumbnailUrl: thumbnailUrl,
-			duration: duration,
-			authorInfo: authorInfo,
-			views: views,
-		});
-
-	});
-
-	return {
-		hasNextPage: hasNextPage,
-		videos: resultArray
-	};
+	return new XhamsterSectionPager(vids.videos.map(toPlatformVideo), vids.videos.length > 0, path, page);
 }
 
 function getVideoPager(path, params, page) {
 	log(`getVideoPager page=${page}`, params)
 	params = { ... params, page }
 
-	const url = URL_BASE + path;
+	const url = URL_BASE + path.replace(/^\//, "");
 	const urlWithParams = `${url}${buildQuery(params)}`;
 
 	var html = httpGET(urlWithParams, {});
@@ -1927,27 +3386,22 @@ function getVideoPager(path, params, page) {
 	var containerId = path.includes("/search") ? "videoSearchResult" : "videoCategory";
 	var vids = getVideos(html, containerId);
 	
-	return new PornhubVideoPager(vids.videos.map(v => {
-		return new PlatformVideo({
-			id: new PlatformID(PLATFORM, v.id, config.id),
-			name: v.title ?? "",
-			thumbnails: new Thumbnails([new Thumbnail(v.thumbnailUrl, 0)]),
-			author: new PlatformAuthorLink(new PlatformID(PLATFORM, v.authorInfo.authorName, config.id),
-				v.authorInfo.authorName,
-				v.authorInfo.channel),
-			datetime: undefined,
-			duration: v.duration,
-			viewCount: v.views,
-			url: v.videoUrl,
-			isLive: false
-		});
-
-	}), true, path, params, page);
+	return new PornhubVideoPager(vids.videos.map(toPlatformVideo), vids.videos.length > 0, path, params, page);
 }
 
 
 function getVideos(html, ulId) {
 
+	// xHamster listings carry their cards in the page state
+	var thumbProps = findVideoThumbProps(extractInitials(html));
+	if (thumbProps.length > 0) {
+		log(thumbProps.length + " videos found in page state");
+		return {
+			totalElemsPages: undefined,
+			videos: thumbProps.map(mapVideoThumbProps)
+		};
+	}
+
 	let node = domParser.parseFromString(html, "text/html");
 	
 	// Find the ul element with id ulId
@@ -1961,7 +3415,7 @@ function getVideos(html, ulId) {
 		if (pagingIndication && typeof pagingIndication === 'string') {
 			var indexOfTotalStr = pagingIndication.indexOf("of "); // "showing XX-ZZ of TOTAL"
 			if (indexOfTotalStr !== -1) {
-				total = parseInt(pagingIndication.substring(indexOfTotalStr + 3), 10);
+				total = parseCount(pagingIndication.substring(indexOfTotalStr + 3));
 				log(`getVideos total: ${total}`);
 			}
 		}
@@ -2007,7 +3461,7 @@ function getVideos(html, ulId) {
                         // Get the views string from the <var> tag inside the span with class "views"
                         const viewsSpan = li.querySelector(".views var");
                         const viewsStr = viewsSpan ? viewsSpan.textContent.trim() : "0";
-                        const views = parseNumberSuffix(viewsStr);
+                        const views = parseCount(viewsStr);
 
                         // Get author information
                         const authorLink = li.querySelector(".usernameWrap a");
@@ -2029,6 +3483,7 @@ function getVideos(html, ulId) {
                             duration: duration,
                             authorInfo: authorInfo,
                             views: views,
+                            rating: getCardRating(li),
                         });
                     }
                 }
@@ -2046,6 +3501,74 @@ function getVideos(html, ulId) {
 }
 
 
+/**
+ * Collect every `videoThumbProps` card list from a listing page's state, skipping duplicates
+ * @param {Object|null} initials - Parsed `window.initials` page state
+ * @returns {Object[]} - Video cards in page order
+ */
+function findVideoThumbProps(initials) {
+	var cards = [];
+	var seen = {};
+
+	forEachNestedObject(initials, function (node) {
+		if (!Array.isArray(node.videoThumbProps)) return;
+		node.videoThumbProps.forEach(function (card) {
+			if (card && card.id && card.pageURL && !seen[card.id]) {
+				seen[card.id] = true;
+				cards.push(card);
+			}
+		});
+	});
+
+	return cards;
+}
+
+/**
+ * Call `callback` on every object (and array) nested in a page state tree, parents first
+ * @param {Object|null} root - Parsed page state
+ * @param {function(Object): void} callback
+ * @param {number} [maxDepth=8] - How deep to descend
+ */
+function forEachNestedObject(root, callback, maxDepth = 8) {
+	var visit = function (node, depth) {
+		if (!node || typeof node !== "object" || depth > maxDepth) return;
+
+		callback(node);
+
+		for (const value of Object.values(node)) {
+			if (value && typeof value === "object") {
+				visit(value, depth + 1);
+			}
+		}
+	};
+
+	visit(root, 0);
+}
+
+/**
+ * Map a `videoThumbProps` card to the video entry shape getVideos returns
+ * @param {Object} card - A video card from the page state
+ * @returns {Object}
+ */
+function mapVideoThumbProps(card) {
+	var uploader = card.landing || card.uploader || card.author || {};
+	var rating = parseFloat(card.rating);
+
+	return {
+		id: `${card.id}`,
+		videoUrl: resolveUrl(card.pageURL, URL_BASE),
+		title: card.title,
+		thumbnailUrl: card.thumbURL || card.imageURL || "",
+		duration: parseInt(card.duration) || 0,
+		authorInfo: {
+			channel: uploader.link || uploader.pageURL ? resolveUrl(uploader.link || uploader.pageURL, URL_BASE) : "",
+			authorName: uploader.name || ""
+		},
+		views: parseCount(card.views),
+		rating: isNaN(rating) ? undefined : new RatingScaler(rating > 1 ? rating / 100 : rating)
+	};
+}
+
 /**
  * HTTP GET wrapper that manages session lifecycle, bot detection bypass, and retries
  * Similar to Kick's callUrl function but adapted for PornHub's specific challenges
@@ -2055,7 +3578,8 @@ function getVideos(html, ulId) {
  * @param {boolean} options.requireToken - Whether this request requires a valid session token (default: false)
  * @param {boolean} options.parseJson - Whether to parse response as JSON (default: false)
  * @param {number} options.retries - Number of retry attempts on failure (default: 3)
- * @returns {string | Object} - Response body as string or parsed JSON
+ * @param {boolean} options.withStatus - Return `{code, body}` and leave 4xx statuses to the caller instead of throwing (default: false)
+ * @returns {string | Object} - Response body as string or parsed JSON, or `{code, body}` with `withStatus`
  * @throws {ScriptException}
  */
 function httpGET(url, options = {}) {
@@ -2064,6 +3588,7 @@ function httpGET(url, options = {}) {
 	var requireToken = options.requireToken || false;
 	var parseJson = options.parseJson || false;
 	var retries = options.retries !== undefined ? options.retries : 3;
+	var withStatus = options.withStatus || false;
 
 	let lastError = null;
 	let attempts = retries + 1; // +1 for the initial attempt
@@ -2102,6 +3627,15 @@ function httpGET(url, options = {}) {
 			const resp = http.GET(url, requestHeaders);
 
 			// Step 3: Check response status
+			if (withStatus && resp.code >= 400 && resp.code < 500) {
+				return { code: resp.code, body: resp.body || "" };
+			}
+			if (resp.code === 404 || resp.code === 410) {
+				throw new UnavailableException("This content has been removed or does not exist.");
+			}
+			if (resp.code === 451) {
+				throw new UnavailableException("This content is not available in your country.");
+			}
 			if (!resp.isOk) {
 				throw new ScriptException("Request [" + url + "] failed with code [" + resp.code + "]");
 			}
@@ -2167,9 +3701,14 @@ function httpGET(url, options = {}) {
 			}
 
 			// Step 6: Return successful response
-			return body;
+			return withStatus ? { code: resp.code, body: body } : body;
 
 		} catch (error) {
+			// Missing or blocked content won't come back on retry
+			if (error instanceof UnavailableException) {
+				throw error;
+			}
+
 			lastError = error;
 			attempts--;
 
@@ -2210,18 +3749,75 @@ function httpGET(url, options = {}) {
 	throw lastError || new ScriptException("Request failed for unknown reason");
 }
 
-function parseNumberSuffix(numStr) {
+// Count suffixes on the main site and its localized subdomains, and the multiplier each stands for
+const COUNT_SUFFIXES = [
+	[["k", "thousand", "tsd.", "tsd", "tausend", "mil", "mille", "mila", "bin", "tys.", "tys", "тыс.", "тыс", "тис.", "тис", "千"], 1e3],
+	[["万"], 1e4],
+	[["m", "mn", "mi", "million", "millions", "millionen", "mio.", "mio", "mln.", "mln", "millón", "millones", "milhão", "milhões", "milione", "milioni", "miljoen", "miljon", "milyon", "млн.", "млн"], 1e6],
+	[["億", "亿"], 1e8],
+	[["b", "bn", "billion", "billions", "mil millones", "milliard", "milliards", "milliarde", "milliarden", "mds", "md", "mrd.", "mrd", "miliardi", "milyar", "млрд.", "млрд"], 1e9]
+];
+
+// A number and its optional suffix; longer suffixes come first so "million" is not read as "m"
+const COUNT_REGEX = new RegExp("(\\d[\\d\\s.,'’]*)\\s*(" +
+	COUNT_SUFFIXES.flatMap(([words]) => words)
+		.sort((a, b) => b.length - a.length)
+		.map(word => word.replace(/[.]/g, "\\."))
+		.join("|") +
+	")?(?![a-zà-ÿа-яё])");
 
-	var mul = 1;
-	if (numStr.includes("K")) {
-		mul = 1000;
+/**
+ * Parse a view, subscriber or video count as shown on any xHamster locale:
+ * "1,234", "1.234", "12 345", "1.2K", "1,5 Mio.", "3,4 млн", "1.2万", "1 million", "7 bin", "9 Mds"
+ * @param {string|number|null|undefined} value - Count text or number
+ * @returns {number} - The count, 0 if unparseable (never NaN)
+ */
+function parseCount(value) {
+	if (typeof value === "number") {
+		return isFinite(value) ? Math.round(value) : 0;
 	}
-	if (numStr.includes("M")) {
-		mul = 1000000;
+	if (!value) return 0;
+
+	var text = `${value}`.toLowerCase().replace(/[\u00a0\u202f\u2009]/g, " ");
+	var match = text.match(COUNT_REGEX);
+	if (!match) return 0;
+
+	var digits = match[1].trim().replace(/[\s'’]/g, "");
+	var suffix = match[2] || "";
+	var separators = digits.match(/[.,]/g) || [];
+
+	if (separators.length > 0) {
+		var last = separators[separators.length - 1];
+		var lastIndex = digits.lastIndexOf(last);
+		var decimals = digits.length - lastIndex - 1;
+		var isDecimal = new Set(separators).size > 1 ||
+			(separators.length === 1 && (suffix !== "" || decimals !== 3));
+
+		// The last separator is the decimal point if mixed with the other kind, or if lone and not followed by 3 digits
+		digits = isDecimal
+			? digits.substring(0, lastIndex).replace(/[.,]/g, "") + "." + digits.substring(lastIndex + 1)
+			: digits.replace(/[.,]/g, "");
 	}
 
-	var out = parseFloat(numStr.slice(0, -1)) * mul;
-	return out;
+	var count = parseFloat(digits);
+	if (isNaN(count)) return 0;
+
+	var multiplier = COUNT_SUFFIXES.find(([words]) => words.includes(suffix));
+	return Math.round(count * (multiplier ? multiplier[1] : 1));
+}
+
+/**
+ * Parse an ISO 8601 duration (e.g. "PT1H2M3S") to seconds
+ * @param {string} durationStr - The ISO duration
+ * @returns {number} - Duration in seconds, 0 if unparseable
+ */
+function parseIsoDuration(durationStr) {
+	if (!durationStr) return 0;
+
+	var match = durationStr.match(/PT(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?/);
+	if (!match) return 0;
+
+	return parseInt(match[1] || 0) * 3600 + parseInt(match[2] || 0) * 60 + parseInt(match[3] || 0);
 }
 
 function parseDuration(durationStr) {
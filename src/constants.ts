@@ -14,7 +14,12 @@ export const ERROR_TYPES = {
   NETWORK: 'NetworkError',
   AUTH: 'AuthenticationError',
   NOT_FOUND: 'NotFoundError',
-  INVALID_DATA: 'InvalidDataError'
+  INVALID_DATA: 'InvalidDataError',
+  REMOVED: 'RemovedError',
+  PRIVATE: 'PrivateError',
+  PREMIUM: 'PremiumError',
+  GEO_BLOCKED: 'GeoBlockedError',
+  AGE_VERIFICATION: 'AgeVerificationError'
 } as const;
 
 /**
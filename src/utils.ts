@@ -91,29 +91,6 @@ export function parseDuration(duration: string): number {
   return hours * 3600 + minutes * 60 + seconds;
 }
 
-/**
- * Format number string (e.g., "1.2K", "3.4M") to actual number
- */
-export function parseFormattedNumber(str: string): number {
-  if (!str) return 0;
-  
-  const normalized = str.toUpperCase().replace(/,/g, '');
-  const match = normalized.match(/([\d.]+)([KMB])?/);
-  
-  if (!match) return 0;
-  
-  const num = parseFloat(match[1]);
-  const suffix = match[2];
-  
-  const multipliers: Record<string, number> = {
-    'K': 1000,
-    'M': 1000000,
-    'B': 1000000000
-  };
-  
-  return suffix ? num * multipliers[suffix] : num;
-}
-
 /**
  * Retry a function with exponential backoff
  */
@@ -0,0 +1,1164 @@
+//#region imports
+import { describe, test, before } from "node:test"
+import assert from "node:assert"
+import { readFileSync } from "node:fs"
+import { runInThisContext } from "node:vm"
+// initializes global state (source, http, bridge, etc.)
+import "@kaidelorenzo/grayjay-polyfill"
+//#endregion
+
+// The plugin's helpers are top-level function declarations, so they land on the global object
+const plugin = globalThis
+
+runInThisContext(readFileSync(new URL("../XhamsterScript.js", import.meta.url), "utf8"))
+
+/**
+ * Answer the plugin's requests with canned pages instead of the network
+ * @param {{[url: string]: string | {code: number, body: string}}} pages - Response body, or status and body, by URL; other URLs get a 404
+ * @returns {string[]} - The requested URLs, in request order
+ */
+function servePages(pages) {
+    const requested = []
+    plugin.http = {
+        GET(url) {
+            requested.push(url)
+            const page = pages[url] ?? { code: 404, body: "" }
+            const { code, body } = typeof page === "string" ? { code: 200, body: page } : page
+            return { isOk: code >= 200 && code < 300, code, body, headers: {} }
+        }
+    }
+    return requested
+}
+
+/**
+ * Wrap page state in a minimal page the way xHamster embeds it
+ * @param {Object} initials - The `window.initials` object
+ * @param {string} [markup] - Extra page markup
+ * @returns {string}
+ */
+function pageWithInitials(initials, markup = "") {
+    return `<html><head><script>window.initials = ${JSON.stringify(initials)};</script></head><body>${markup}</body></html>`
+}
+
+/**
+ * Load the plugin with the given settings and saved state
+ * @param {{[key: string]: string}} [settings]
+ * @param {string} [savedState]
+ */
+function enablePlugin(settings = {}, savedState = null) {
+    source.enable({ id: "test-plugin-id" }, settings, savedState)
+}
+
+describe("getContentDetails page state", { skip: false }, () => {
+    before(() => enablePlugin())
+
+    test("extractInitials parses the page state with braces inside strings", { skip: false }, () => {
+        const html = `<script>window.initials = {"videoModel":{"id":"abc","title":"a } b {"},"n":1};</script>`
+        assert.deepStrictEqual(plugin.extractInitials(html), { videoModel: { id: "abc", title: "a } b {" }, n: 1 })
+        assert.strictEqual(plugin.extractInitials("<html></html>"), null)
+    })
+
+    test("builds the video details from window.initials", { skip: false }, () => {
+        const url = "https://xhamster.com/videos/some-video-xh1aB2c"
+        servePages({
+            [url]: pageWithInitials({
+                videoModel: {
+                    id: 123,
+                    title: "Some video",
+                    description: "About it",
+                    duration: 642,
+                    created: 1700000000,
+                    views: "1,234",
+                    pageURL: url,
+                    thumbURL: "https://thumb.example/123.jpg",
+                    author: {
+                        name: "Some Creator",
+                        pageURL: "https://xhamster.com/creators/some-creator",
+                        thumbURL: "https://thumb.example/avatar.jpg",
+                        subscribers: "5.6K"
+                    }
+                }
+            })
+        })
+
+        const details = source.getContentDetails(url)
+
+        assert.strictEqual(details.id.value, "123")
+        assert.strictEqual(details.name, "Some video")
+        assert.strictEqual(details.duration, 642)
+        assert.strictEqual(details.datetime, 1700000000)
+        assert.strictEqual(details.viewCount, 1234)
+        assert.strictEqual(details.thumbnails.sources[0].url, "https://thumb.example/123.jpg")
+        assert.ok(details.description.startsWith("About it"))
+        assert.strictEqual(details.author.id.value, "some-creator")
+        assert.strictEqual(details.author.name, "Some Creator")
+        assert.strictEqual(details.author.url, "https://xhamster.com/creators/some-creator")
+        assert.strictEqual(details.author.subscribers, 5600)
+    })
+
+    test("falls back to ld+json when the page state is missing", { skip: false }, () => {
+        const url = "https://xhamster.com/videos/other-video-xh9zY8x"
+        const ldJson = {
+            name: "Other video",
+            description: "From ld+json",
+            duration: "PT1M30S",
+            thumbnailUrl: ["https://thumb.example/other.jpg"],
+            uploadDate: "2024-01-02T00:00:00Z",
+            interactionStatistic: [{ userInteractionCount: "42" }]
+        }
+        servePages({
+            [url]: `<html><head><script type="application/ld+json">${JSON.stringify(ldJson)}</script></head><body></body></html>`
+        })
+
+        const details = source.getContentDetails(url)
+
+        assert.strictEqual(details.id.value, "xh9zY8x")
+        assert.strictEqual(details.name, "Other video")
+        assert.strictEqual(details.duration, 90)
+        assert.strictEqual(details.datetime, 1704153600)
+        assert.strictEqual(details.viewCount, 42)
+        assert.strictEqual(details.thumbnails.sources[0].url, "https://thumb.example/other.jpg")
+    })
+})
+
+describe("progressive MP4 sources", { skip: false }, () => {
+    before(() => enablePlugin())
+
+    test("getMp4Sources builds one source per rendition, highest first, with CDN headers", { skip: false }, () => {
+        const initials = {
+            xplayerSettings: {
+                sources: {
+                    standard: {
+                        h264: [
+                            { quality: "480p", url: "https://cdn.example/480.mp4" },
+                            { quality: "1080p", url: "https://cdn.example/1080.mp4", width: 1920, height: 1080 },
+                            { quality: "auto", url: "https://cdn.example/auto.m3u8" }
+                        ]
+                    }
+                }
+            },
+            videoModel: { sources: { mp4: { "480p": "https://cdn.example/duplicate.mp4", "720p": "https://cdn.example/720.mp4" } } }
+        }
+
+        const sources = plugin.getMp4Sources(initials, 60)
+
+        assert.deepStrictEqual(sources.map(s => [s.name, s.url, s.width, s.height]), [
+            ["1080p", "https://cdn.example/1080.mp4", 1920, 1080],
+            ["720p", "https://cdn.example/720.mp4", 1280, 720],
+            ["480p", "https://cdn.example/480.mp4", 853, 480]
+        ])
+        for (const s of sources) {
+            assert.strictEqual(s.container, "video/mp4")
+            assert.strictEqual(s.duration, 60)
+            assert.strictEqual(s.requestModifier.headers.Referer, "https://xhamster.com/")
+        }
+    })
+
+    test("getContentDetails offers the MP4 renditions next to the HLS source", { skip: false }, () => {
+        const url = "https://xhamster.com/videos/some-video-xh1aB2c"
+        servePages({
+            [url]: pageWithInitials({
+                videoModel: { id: 1, title: "Some video", duration: 60 },
+                xplayerSettings: {
+                    sources: {
+                        hls: { h264: { url: "https://cdn.example/master.m3u8" } },
+                        standard: { h264: [{ quality: "720p", url: "https://cdn.example/720.mp4" }] }
+                    }
+                }
+            })
+        })
+
+        const sources = source.getContentDetails(url).video.videoSources
+
+        assert.deepStrictEqual(sources.map(s => [s.name, s.url]), [
+            ["HLS (Auto)", "https://cdn.example/master.m3u8"],
+            ["720p", "https://cdn.example/720.mp4"]
+        ])
+    })
+})
+
+describe("HLS resolution discovery", { skip: false }, () => {
+    before(() => enablePlugin())
+
+    test("getResolution reads labels, heights and 4K names", { skip: false }, () => {
+        assert.deepStrictEqual(plugin.getResolution("720p60"), { width: 1280, height: 720, frameRate: 60 })
+        assert.deepStrictEqual(plugin.getResolution("2160p"), { width: 3840, height: 2160, frameRate: 0 })
+        assert.deepStrictEqual(plugin.getResolution("4k", 4096), { width: 4096, height: 2160, frameRate: 0 })
+        assert.deepStrictEqual(plugin.getResolution(1440), { width: 2560, height: 1440, frameRate: 0 })
+        assert.strictEqual(plugin.getResolution("auto"), null)
+    })
+
+    test("parseHlsMasterPlaylist lists variants best first with resolved URLs", { skip: false }, () => {
+        const playlist = [
+            "#EXTM3U",
+            "#EXT-X-STREAM-INF:BANDWIDTH=800000,RESOLUTION=640x360,NAME=\"360p\"",
+            "360p.m3u8",
+            "#EXT-X-STREAM-INF:BANDWIDTH=5000000,RESOLUTION=1920x1080,FRAME-RATE=60.000",
+            "https://cdn.example/1080p60.m3u8",
+            "#EXT-X-STREAM-INF:BANDWIDTH=100000,CODECS=\"mp4a.40.2\"",
+            "audio.m3u8"
+        ].join("\n")
+        const variants = plugin.parseHlsMasterPlaylist(playlist, "https://cdn.example/hls/master.m3u8")
+
+        assert.deepStrictEqual(variants.map(v => [v.name, v.url, v.height, v.bitrate]), [
+            ["1080p60", "https://cdn.example/1080p60.m3u8", 1080, 5000000],
+            ["360p", "https://cdn.example/hls/360p.m3u8", 360, 800000]
+        ])
+    })
+
+    test("getContentDetails adds one HLS source per variant and keeps the master if the playlist fails", { skip: false }, () => {
+        const url = "https://xhamster.com/videos/some-video-xh1aB2c"
+        const page = pageWithInitials({
+            videoModel: { id: 1, title: "Some video", duration: 60 },
+            xplayerSettings: { sources: { hls: { url: "https://cdn.example/hls/master.m3u8" } } }
+        })
+        const master = "#EXTM3U\n#EXT-X-STREAM-INF:BANDWIDTH=20000000,RESOLUTION=3840x2160\n2160p.m3u8\n"
+
+        servePages({ [url]: page, "https://cdn.example/hls/master.m3u8": master })
+        assert.deepStrictEqual(source.getContentDetails(url).video.videoSources.map(s => [s.name, s.width, s.height]), [
+            ["HLS (Auto)", undefined, undefined],
+            ["2160p", 3840, 2160]
+        ])
+
+        servePages({ [url]: page, "https://cdn.example/hls/master.m3u8": { code: 500, body: "" } })
+        assert.deepStrictEqual(source.getContentDetails(url).video.videoSources.map(s => s.name), ["HLS (Auto)"])
+    })
+})
+
+describe("subtitles", { skip: false }, () => {
+    before(() => enablePlugin())
+
+    test("convertToWebVtt converts SRT and keeps WebVTT", { skip: false }, () => {
+        const srt = "\uFEFF1\r\n00:00:01,500 --> 00:00:03,000\r\nHello\r\n"
+        assert.strictEqual(plugin.convertToWebVtt(srt), "WEBVTT\n\n1\n00:00:01.500 --> 00:00:03.000\nHello")
+
+        const vtt = "WEBVTT\n\n00:00:01.500 --> 00:00:03.000\nHello"
+        assert.strictEqual(plugin.convertToWebVtt(vtt), vtt)
+    })
+
+    test("getSubtitles labels the player's tracks and serves them as WebVTT", { skip: false }, () => {
+        const initials = {
+            xplayerSettings: {
+                subtitles: {
+                    tracks: [
+                        { lang: "de", label: "de", urls: { srt: "/captions/de.srt" } },
+                        { lang: "pt-BR", label: "Português (Brasil)", urls: { vtt: "https://cdn.example/pt.vtt" } },
+                        { lang: "xx", url: "https://cdn.example/xx.vtt" },
+                        { lang: "de", urls: { srt: "/captions/de.srt" } }
+                    ]
+                }
+            }
+        }
+
+        const subtitles = plugin.getSubtitles(initials, plugin.domParser.parseFromString("<html></html>"))
+
+        assert.deepStrictEqual(subtitles.map(s => [s.name, s.url, s.format]), [
+            ["German", "https://xhamster.com/captions/de.srt", "text/vtt"],
+            ["Português (Brasil)", "https://cdn.example/pt.vtt", "text/vtt"],
+            ["XX", "https://cdn.example/xx.vtt", "text/vtt"]
+        ])
+
+        servePages({ "https://xhamster.com/captions/de.srt": "1\n00:00:01,000 --> 00:00:02,000\nHallo" })
+        assert.strictEqual(subtitles[0].getSubtitles(), "WEBVTT\n\n1\n00:00:01.000 --> 00:00:02.000\nHallo")
+    })
+
+    test("getSubtitles falls back to the video element's caption tracks", { skip: false }, () => {
+        const dom = plugin.domParser.parseFromString(
+            `<video><track kind="captions" src="https://cdn.example/en.vtt" srclang="en"><track kind="chapters" src="https://cdn.example/ch.vtt"></video>`)
+
+        assert.deepStrictEqual(plugin.getSubtitles({}, dom).map(s => [s.name, s.url]), [["English", "https://cdn.example/en.vtt"]])
+    })
+})
+
+describe("video tags", { skip: false }, () => {
+    before(() => enablePlugin())
+
+    test("getVideoTags groups the page state's tags and drops duplicates", { skip: false }, () => {
+        const initials = {
+            videoTagsComponent: {
+                tags: [
+                    { name: "Amateur", url: "/categories/amateur" },
+                    { name: " Some Star ", url: "https://xhamster.com/pornstars/some-star" },
+                    { name: "outdoor", url: "https://xhamster.com/tags/outdoor" },
+                    { name: "Amateur again", url: "https://xhamster.com/categories/amateur" },
+                    { name: "Elsewhere", url: "https://xhamster.com/search/elsewhere" }
+                ]
+            }
+        }
+
+        const videoTags = plugin.getVideoTags(initials, plugin.domParser.parseFromString("<html></html>"))
+
+        assert.deepStrictEqual(JSON.parse(JSON.stringify(videoTags)), {
+            categories: [{ name: "Amateur", url: "https://xhamster.com/categories/amateur" }],
+            tags: [{ name: "outdoor", url: "https://xhamster.com/tags/outdoor" }],
+            pornstars: [{ name: "Some Star", url: "https://xhamster.com/pornstars/some-star" }]
+        })
+        assert.strictEqual(plugin.formatVideoTags(videoTags),
+            "\n\n⭐ Pornstars:\n• Some Star - https://xhamster.com/pornstars/some-star" +
+            "\n\n📂 Categories:\n• Amateur - https://xhamster.com/categories/amateur" +
+            "\n\n🏷️ Tags:\n• outdoor - https://xhamster.com/tags/outdoor")
+        for (const entry of [...videoTags.categories, ...videoTags.tags, ...videoTags.pornstars]) {
+            assert.strictEqual(source.isChannelUrl(entry.url), true, entry.url)
+        }
+    })
+
+    test("getVideoTags falls back to the page's tag links", { skip: false }, () => {
+        const dom = plugin.domParser.parseFromString(
+            `<a class="video-tag" href="/tags/outdoor">outdoor</a><a class="nav" href="/categories/amateur">Amateur</a>`)
+
+        const videoTags = plugin.getVideoTags({}, dom)
+
+        assert.deepStrictEqual(videoTags.tags.map(t => t.url), ["https://xhamster.com/tags/outdoor"])
+        assert.deepStrictEqual(videoTags.categories, [])
+        assert.strictEqual(plugin.formatVideoTags({ categories: [], tags: [], pornstars: [] }), "")
+    })
+})
+
+describe("ratings", { skip: false }, () => {
+    before(() => enablePlugin())
+
+    const emptyDom = () => plugin.domParser.parseFromString("<html></html>")
+
+    test("getVideoRating prefers vote counts, then the percentage", { skip: false }, () => {
+        const votes = plugin.getVideoRating({ rating: { likes: "1.2K", dislikes: 30, value: 97 } }, emptyDom())
+        assert.ok(votes instanceof RatingLikesDislikes)
+        assert.deepStrictEqual([votes.likes, votes.dislikes], [1200, 30])
+
+        const percentage = plugin.getVideoRating({ rating: { value: "87" } }, emptyDom())
+        assert.ok(percentage instanceof RatingScaler)
+        assert.strictEqual(percentage.value, 0.87)
+
+        const likesOnly = plugin.getVideoRating({ rating: { likes: 5 } }, emptyDom())
+        assert.ok(likesOnly instanceof RatingLikes)
+        assert.strictEqual(likesOnly.likes, 5)
+    })
+
+    test("getVideoRating reads the vote buttons when the page state has no rating", { skip: false }, () => {
+        const dom = plugin.domParser.parseFromString(
+            `<div data-role="like"><span class="rb-new__info">2,345</span></div><div data-role="dislike"><span class="rb-new__info">67</span></div>`)
+
+        const rating = plugin.getVideoRating({}, dom)
+
+        assert.deepStrictEqual([rating.likes, rating.dislikes], [2345, 67])
+    })
+
+    test("getVideoRating and getCardRating leave the rating out without data", { skip: false }, () => {
+        assert.strictEqual(plugin.getVideoRating({}, emptyDom()), undefined)
+        assert.strictEqual(plugin.getCardRating(plugin.domParser.parseFromString("<li></li>")), undefined)
+
+        const card = plugin.domParser.parseFromString(`<li><div class="rating-container"><span class="value">92%</span></div></li>`)
+        assert.strictEqual(plugin.getCardRating(card).value, 0.92)
+    })
+})
+
+describe("unavailable videos", { skip: false }, () => {
+    before(() => enablePlugin())
+
+    const url = "https://xhamster.com/videos/some-video-xh1aB2c"
+    const emptyDom = () => plugin.domParser.parseFromString("<html></html>")
+
+    test("getContentDetails reads the error page behind a 4xx status without retrying", { skip: false }, () => {
+        const cases = [
+            [404, "This video has been removed."],
+            [410, "This video has been removed."],
+            [403, "This video is private."],
+            [402, "This video is only available to FAN subscribers or xHamster Premium members."],
+            [451, "This video is not available in your country."]
+        ]
+        for (const [code, message] of cases) {
+            const requested = servePages({ [url]: { code, body: "<html></html>" } })
+            assert.throws(() => source.getContentDetails(url), e => e instanceof UnavailableException && e.message === message, `status ${code}`)
+            assert.strictEqual(requested.length, 1, `status ${code}`)
+        }
+    })
+
+    test("checkVideoAvailability reads the page state's flags and error model", { skip: false }, () => {
+        assert.throws(() => plugin.checkVideoAvailability({ videoModel: { id: 1, isFanOnly: true } }, emptyDom()),
+            e => e instanceof UnavailableException && /FAN subscribers/.test(e.message))
+        assert.throws(() => plugin.checkVideoAvailability({ error: { message: "This video was deleted by the uploader" } }, emptyDom()),
+            e => e instanceof UnavailableException && e.message === "This video has been removed.")
+        assert.throws(() => plugin.checkVideoAvailability({ error: { code: 499, message: "Something odd" } }, emptyDom()),
+            e => e instanceof UnavailableException && e.message === "Something odd")
+        assert.doesNotThrow(() => plugin.checkVideoAvailability({ videoModel: { id: 1, title: "A private moment" } }, emptyDom()))
+    })
+
+    test("checkVideoAvailability asks for age verification instead of calling the video unavailable", { skip: false }, () => {
+        assert.throws(() => plugin.checkVideoAvailability({ videoModel: { id: 1, needAgeVerification: true } }, emptyDom()),
+            e => e instanceof ScriptException && !(e instanceof UnavailableException) && /verify your age/.test(e.message))
+
+        const dom = plugin.domParser.parseFromString(`<div class="video-error">Please verify your age to continue</div>`)
+        assert.throws(() => plugin.checkVideoAvailability({}, dom), e => !(e instanceof UnavailableException))
+    })
+})
+
+describe("URL recognition", { skip: false }, () => {
+    test("normalizeXhamsterUrl maps subdomains, mirrors and embeds to xhamster.com", { skip: false }, () => {
+        assert.strictEqual(plugin.normalizeXhamsterUrl("https://de.xhamster.com/videos/some-video-xh1aB2c"), "https://xhamster.com/videos/some-video-xh1aB2c")
+        assert.strictEqual(plugin.normalizeXhamsterUrl("https://m.xhamster.com/videos/some-video-xh1aB2c"), "https://xhamster.com/videos/some-video-xh1aB2c")
+        assert.strictEqual(plugin.normalizeXhamsterUrl("https://xhamster2.com/creators/name"), "https://xhamster.com/creators/name")
+        assert.strictEqual(plugin.normalizeXhamsterUrl("https://xhamster.com/embed/xh1aB2c"), "https://xhamster.com/videos/xh1aB2c")
+        assert.strictEqual(plugin.normalizeXhamsterUrl("https://xhamster.com/xembed.php?video=xh1aB2c"), "https://xhamster.com/videos/xh1aB2c")
+    })
+
+    test("isContentDetailsUrl accepts video, embed and share URLs only", { skip: false }, () => {
+        assert.strictEqual(source.isContentDetailsUrl("https://xhamster.com/videos/some-video-xh1aB2c"), true)
+        assert.strictEqual(source.isContentDetailsUrl("xhamster.desi/videos/some-video-xh1aB2c"), true)
+        assert.strictEqual(source.isContentDetailsUrl("https://fr.xhamster19.com/videos/some-video-xh1aB2c?t=30"), true)
+        assert.strictEqual(source.isContentDetailsUrl("https://xhamster.com/embed/xh1aB2c"), true)
+        assert.strictEqual(source.isContentDetailsUrl("https://xhms.pro/xh1aB2c"), true)
+        assert.strictEqual(source.isContentDetailsUrl("https://xhamster.com/creators/name"), false)
+        assert.strictEqual(source.isContentDetailsUrl("https://xhamster.com/videos/some-video-xh1aB2c/comments"), false)
+        assert.strictEqual(source.isContentDetailsUrl("https://example.com/videos/some-video"), false)
+    })
+
+    test("isChannelUrl accepts profile pages on any xHamster host", { skip: false }, () => {
+        assert.strictEqual(source.isChannelUrl("https://xhamster.com/users/profiles/bob"), true)
+        assert.strictEqual(source.isChannelUrl("https://m.xhamster.com/creators/name/videos"), true)
+        assert.strictEqual(source.isChannelUrl("https://xhamster2.com/channels/studio"), true)
+        assert.strictEqual(source.isChannelUrl("https://xhamster.com/gay/pornstars/some-name"), true)
+        assert.strictEqual(source.isChannelUrl("https://xhamster.com/pornstars/search"), false)
+        assert.strictEqual(source.isChannelUrl("https://xhamster.com/videos/some-video-xh1aB2c"), false)
+        assert.strictEqual(source.isChannelUrl("https://example.com/creators/name"), false)
+    })
+})
+
+describe("search sorts and filters", { skip: false }, () => {
+    before(() => enablePlugin())
+
+    test("getSearchCapabilities lists the site's sorts and filter groups", { skip: false }, () => {
+        const capabilities = source.getSearchCapabilities()
+
+        assert.deepStrictEqual(capabilities.sorts, ["Relevance", "Newest", "Most Viewed", "Top Rated", "Longest"])
+        assert.deepStrictEqual(capabilities.filters.map(group => group.id), ["length", "quality", "date", "format", "prod"])
+        assert.deepStrictEqual(capabilities.filters[1].filters.map(f => f.value), ["720p", "1080p", "2160p"])
+    })
+
+    test("getSearchParams translates the sort and the first value of each filter", { skip: false }, () => {
+        assert.deepStrictEqual(plugin.getSearchParams("Longest", { length: ["medium"], quality: ["2160p", "720p"], format: ["vr"], prod: ["unknown"] }), {
+            sort: "longest",
+            "min-duration": "10",
+            "max-duration": "40",
+            quality: "2160p",
+            format: "vr"
+        })
+        assert.deepStrictEqual(plugin.getSearchParams("Relevance", {}), {})
+        assert.deepStrictEqual(plugin.getSearchParams(undefined, undefined), {})
+    })
+
+    test("search requests the filtered listing and maps its page-state cards", { skip: false }, () => {
+        const url = "https://xhamster.com/search/big%20cats?sort=newest&date=week&page=1"
+        const requested = servePages({
+            [url]: pageWithInitials({
+                searchResult: {
+                    videoThumbProps: [
+                        {
+                            id: 11,
+                            pageURL: "/videos/first-xh11",
+                            title: "First",
+                            thumbURL: "https://thumb.example/11.jpg",
+                            duration: "95",
+                            views: "2.5K",
+                            rating: 88,
+                            landing: { name: "Some Creator", link: "https://xhamster.com/creators/some-creator" }
+                        },
+                        { id: 11, pageURL: "/videos/first-xh11", title: "First again" },
+                        { id: 12, title: "No page URL" }
+                    ]
+                }
+            })
+        })
+
+        const pager = source.search("big cats", Type.Feed.Mixed, "Newest", { date: ["week"] })
+
+        assert.deepStrictEqual(requested, [url])
+        assert.strictEqual(pager.results.length, 1)
+        const [video] = pager.results
+        assert.strictEqual(video.url, "https://xhamster.com/videos/first-xh11")
+        assert.strictEqual(video.duration, 95)
+        assert.strictEqual(video.viewCount, 2500)
+        assert.strictEqual(video.rating.value, 0.88)
+        assert.strictEqual(video.author.id.value, "some-creator")
+    })
+})
+
+describe("orientation setting", { skip: false }, () => {
+    before(() => enablePlugin({ orientation: "1" }))
+
+    test("getOrientationPath routes paths to the chosen section", { skip: false }, () => {
+        assert.strictEqual(plugin.getOrientationPath("/search/x"), "/gay/search/x")
+        assert.strictEqual(plugin.getOrientationPath("/"), "/gay")
+        assert.strictEqual(plugin.getOrientationUrl("/pornstars/search"), "https://xhamster.com/gay/pornstars/search")
+
+        enablePlugin({ orientation: "0" })
+        assert.strictEqual(plugin.getOrientationPath("/"), "/")
+        assert.strictEqual(plugin.getOrientationPath("/newest/"), "/newest")
+
+        enablePlugin({ orientation: "2" })
+        assert.strictEqual(plugin.getOrientationPath("/newest"), "/shemale/newest")
+
+        enablePlugin({ orientation: "1" })
+    })
+
+    test("home, search and autocomplete use the chosen section", { skip: false }, () => {
+        plugin.state.token = "token"
+        const requested = servePages({
+            "https://xhamster.com/gay?page=1": "<html></html>",
+            "https://xhamster.com/gay/search/cats?page=1": "<html></html>"
+        })
+
+        assert.deepStrictEqual(source.getHome().results, [])
+        assert.deepStrictEqual(source.search("cats", Type.Feed.Mixed, "Relevance", {}).results, [])
+        assert.deepStrictEqual(source.searchSuggestions("cats"), [])
+
+        assert.deepStrictEqual(requested.slice(0, 2), ["https://xhamster.com/gay?page=1", "https://xhamster.com/gay/search/cats?page=1"])
+        assert.match(requested[2], /search_autocomplete\?.*&orientation=gay&q=cats/)
+    })
+})
+
+describe("search within a channel", { skip: false }, () => {
+    before(() => enablePlugin())
+
+    const listing = (...titles) => pageWithInitials({
+        mostRecentVideos: {
+            videoThumbProps: titles.map(title => ({ id: title, pageURL: `/videos/${title.toLowerCase().replace(/ /g, "-")}-xh1`, title }))
+        }
+    })
+
+    test("searchChannelContents scans the channel's sorted uploads for title matches", { skip: false }, () => {
+        const requested = servePages({
+            "https://xhamster.com/creators/some-name?sort=views": listing("Morning run", "Evening swim"),
+            "https://xhamster.com/creators/some-name/2?sort=views": listing("Beach Day Two", "Night drive"),
+            "https://xhamster.com/creators/some-name/3?sort=views": listing("Beach day one")
+        })
+
+        const pager = source.searchChannelContents("https://de.xhamster.com/creators/some-name/videos", "beach day", Type.Feed.Mixed, "Most Viewed", {})
+
+        assert.deepStrictEqual(pager.results.map(v => v.name), ["Beach Day Two"])
+        assert.strictEqual(pager.hasMorePagers(), true)
+        assert.strictEqual(requested.length, 2)
+
+        const next = pager.nextPage()
+        assert.deepStrictEqual(next.results.map(v => v.name), ["Beach day one"])
+
+        const last = next.nextPage()
+        assert.deepStrictEqual(last.results, [])
+        assert.strictEqual(last.hasMorePagers(), false)
+    })
+
+    test("searchChannelContents rejects URLs that aren't channels", { skip: false }, () => {
+        assert.throws(() => source.searchChannelContents("https://xhamster.com/videos/some-video-xh1", "x", Type.Feed.Mixed, "", {}), ScriptException)
+    })
+})
+
+describe("channel suggestions", { skip: false }, () => {
+    before(() => enablePlugin())
+
+    test("search opens a suggested @creator or #channel, also after a reload", { skip: false }, () => {
+        plugin.state.token = "token"
+        plugin.http = {
+            GET: () => ({
+                isOk: true,
+                code: 200,
+                headers: {},
+                body: JSON.stringify({
+                    queries: ["some query"],
+                    pornstars: [{ name: "Some Star", slug: "some-star" }],
+                    channels: [{ name: "Studio", slug: "studio-hd" }]
+                })
+            })
+        }
+        assert.deepStrictEqual(source.searchSuggestions("so"), ["some query", "@Some Star", "#Studio"])
+
+        const saved = source.saveState()
+        plugin.state.suggestedChannels = {}
+        enablePlugin({}, saved)
+
+        const requested = servePages({
+            "https://xhamster.com/pornstars/some-star": pageWithInitials({ videos: { videoThumbProps: [{ id: 1, pageURL: "/videos/a-xh1", title: "A" }] } })
+        })
+        assert.deepStrictEqual(source.search("@some star", Type.Feed.Mixed, "", {}).results.map(v => v.name), ["A"])
+        assert.deepStrictEqual(requested, ["https://xhamster.com/pornstars/some-star"])
+    })
+
+    test("search looks up the name of an unknown suggestion", { skip: false }, () => {
+        enablePlugin({}, JSON.stringify({ token: "", sessionCookie: "" }))
+
+        const requested = servePages({ "https://xhamster.com/search/Nobody?page=1": "<html></html>" })
+        source.search("#Nobody", Type.Feed.Mixed, "", {})
+
+        assert.deepStrictEqual(requested, ["https://xhamster.com/search/Nobody?page=1"])
+    })
+})
+
+describe("channel search", { skip: false }, () => {
+    before(() => enablePlugin())
+
+    test("getChannelsFromSearch reads only the results list and skips listing pages", { skip: false }, () => {
+        const html = pageWithInitials({
+            navigation: { pornstars: [{ name: "Nav Star", pageURL: "/pornstars/nav-star" }] },
+            pornstarsList: {
+                items: [
+                    { name: "Some Star", pageURL: "https://xhamster.com/pornstars/some-star", thumbUrl: "https://thumb.example/a.jpg", subscribers: "12K" },
+                    { name: "All pornstars", pageURL: "/pornstars/all" },
+                    { name: "Some Star", pageURL: "/pornstars/some-star" }
+                ],
+                pagination: { currentPage: 1, maxPage: 3 }
+            }
+        })
+
+        assert.deepStrictEqual(JSON.parse(JSON.stringify(plugin.getChannelsFromSearch(html, "pornstars", 1))), {
+            hasNextPage: true,
+            channels: [{ subscribers: 12000, name: "some-star", url: "/pornstars/some-star", displayName: "Some Star", avatar: "https://thumb.example/a.jpg" }]
+        })
+    })
+
+    test("getChannelsFromSearch falls back to the result cards inside the main content", { skip: false }, () => {
+        const html = `<header><a href="/creators/header-link">Header</a></header>` +
+            `<main><a href="/creators/some-creator"><img data-src="https://thumb.example/c.jpg"><span class="name">Some Creator</span><span class="subscribers">1.5M</span></a></main>`
+
+        const found = plugin.getChannelsFromSearch(html, "creators", 1)
+
+        assert.deepStrictEqual(found.channels.map(c => [c.url, c.displayName, c.avatar, c.subscribers]), [
+            ["/creators/some-creator", "Some Creator", "https://thumb.example/c.jpg", 1500000]
+        ])
+        assert.strictEqual(found.hasNextPage, false)
+    })
+
+    test("hasNextListingPage uses the pagination model, then the next link", { skip: false }, () => {
+        const emptyDom = plugin.domParser.parseFromString("<html></html>")
+        const nextDom = plugin.domParser.parseFromString(`<a class="page-next" href="?page=3">Next</a>`)
+
+        assert.strictEqual(plugin.hasNextListingPage({}, { items: [], pagination: { page: 3, lastPage: 3 } }, nextDom, 3), false)
+        assert.strictEqual(plugin.hasNextListingPage({ pagination: { hasNext: true } }, null, emptyDom, 1), true)
+        assert.strictEqual(plugin.hasNextListingPage({}, null, nextDom, 2), true)
+        assert.strictEqual(plugin.hasNextListingPage({}, null, emptyDom, 2), false)
+    })
+
+    test("searchChannels starts with autocomplete hits, enriched from the search pages, and keeps paging", { skip: false }, () => {
+        plugin.state.token = "token"
+        const pages = {
+            "https://xhamster.com/pornstars/search?search=some&page=1": pageWithInitials({
+                pornstarsList: {
+                    items: [
+                        { name: "Some Star", pageURL: "/pornstars/some-star", thumbUrl: "https://thumb.example/a.jpg", subscribers: 1200 },
+                        { name: "Other Star", pageURL: "/pornstars/other-star" }
+                    ],
+                    pagination: { currentPage: 1, maxPage: 2 }
+                }
+            }),
+            "https://xhamster.com/pornstars/search?search=some&page=2": pageWithInitials({
+                pornstarsList: { items: [{ name: "Third Star", pageURL: "/pornstars/third-star" }], pagination: { currentPage: 2, maxPage: 2 } }
+            })
+        }
+        const requested = servePages(pages)
+        const serve = plugin.http.GET
+        plugin.http.GET = url => /search_autocomplete/.test(url) ?
+            { isOk: true, code: 200, headers: {}, body: JSON.stringify({ pornstars: [{ name: "Some Star", slug: "some-star" }, { name: "All", slug: "all" }] }) } :
+            serve(url)
+
+        const pager = source.searchChannels("some")
+
+        assert.deepStrictEqual(pager.results.map(c => [c.id.value, c.name, c.url, c.thumbnail, c.subscribers]), [
+            ["some-star", "Some Star", "https://xhamster.com/pornstars/some-star", "https://thumb.example/a.jpg", 1200],
+            ["other-star", "Other Star", "https://xhamster.com/pornstars/other-star", "", 0]
+        ])
+        assert.strictEqual(pager.hasMorePagers(), true)
+        assert.ok(requested.includes("https://xhamster.com/creators/search?search=some&page=1"))
+
+        const next = pager.nextPage()
+        assert.deepStrictEqual(next.results.map(c => c.name), ["Third Star"])
+        assert.strictEqual(next.hasMorePagers(), false)
+    })
+})
+
+describe("playlists", { skip: false }, () => {
+    before(() => enablePlugin())
+
+    test("parsePlaylistUrl accepts collections and profile favorites", { skip: false }, () => {
+        assert.deepStrictEqual(plugin.parsePlaylistUrl("https://xhamster.com/users/bob/favorites/videos"), { id: "favorites-bob" })
+        assert.deepStrictEqual(plugin.parsePlaylistUrl("https://de.xhamster.com/collections/best-123"), { id: "best-123" })
+        assert.deepStrictEqual(plugin.parsePlaylistUrl("https://xhamster.com/gay/playlists/mix-9"), { id: "mix-9" })
+        assert.strictEqual(plugin.parsePlaylistUrl("https://xhamster.com/playlists/search"), null)
+        assert.strictEqual(plugin.parsePlaylistUrl("https://xhamster.com/users/bob"), null)
+        assert.strictEqual(source.isPlaylistUrl("https://xhamster.com/collections/best-123"), true)
+        assert.strictEqual(source.isChannelUrl("https://xhamster.com/users/bob/favorites/videos"), false)
+    })
+
+    test("searchPlaylists lists the collection results with their authors", { skip: false }, () => {
+        servePages({
+            "https://xhamster.com/playlists/search?search=best%20of&page=1": pageWithInitials({
+                collectionsList: {
+                    items: [
+                        { title: "Best of", pageURL: "/collections/best-123", thumbURL: "https://thumb.example/p.jpg", videoCount: "1,024", author: { name: "Bob", pageURL: "/users/bob" } },
+                        { title: "Search", pageURL: "/playlists/search" }
+                    ],
+                    pagination: { currentPage: 1, maxPage: 1 }
+                }
+            })
+        })
+
+        const pager = source.searchPlaylists("best of", Type.Feed.Mixed, "", {})
+
+        assert.deepStrictEqual(pager.results.map(p => [p.id.value, p.name, p.url, p.thumbnail, p.videoCount, p.author.id.value, p.author.url]), [
+            ["best-123", "Best of", "https://xhamster.com/collections/best-123", "https://thumb.example/p.jpg", 1024, "bob", "https://xhamster.com/users/bob"]
+        ])
+        assert.strictEqual(pager.hasMorePagers(), false)
+    })
+
+    test("getPlaylist reads the collection page and pages its videos", { skip: false }, () => {
+        servePages({
+            "https://xhamster.com/collections/best-123": pageWithInitials({
+                collection: { title: "Best of", videoCount: 2, author: { name: "Bob", pageURL: "https://xhamster.com/users/bob" } },
+                videoListProps: { videoThumbProps: [{ id: 1, pageURL: "/videos/a-xh1", title: "A", thumbURL: "https://thumb.example/1.jpg" }, { id: 2, pageURL: "/videos/b-xh2", title: "B" }] }
+            })
+        })
+
+        const playlist = source.getPlaylist("https://fr.xhamster.com/collections/best-123")
+
+        assert.strictEqual(playlist.id.value, "best-123")
+        assert.strictEqual(playlist.name, "Best of")
+        assert.strictEqual(playlist.thumbnail, "https://thumb.example/1.jpg")
+        assert.strictEqual(playlist.videoCount, 2)
+        assert.strictEqual(playlist.author.name, "Bob")
+        assert.deepStrictEqual(playlist.contents.results.map(v => v.name), ["A", "B"])
+    })
+})
+
+describe("category and tag channels", { skip: false }, () => {
+    before(() => enablePlugin())
+
+    test("categories and tags resolve as channels", { skip: false }, () => {
+        assert.strictEqual(source.isChannelUrl("https://xhamster.com/categories/big-cats"), true)
+        assert.strictEqual(source.isChannelUrl("https://de.xhamster.com/gay/tags/outdoor"), true)
+        assert.strictEqual(plugin.getChannelVideosPath("https://xhamster.com/categories/big-cats", "videos"), "/categories/big-cats")
+    })
+
+    test("getChannel describes a category from its listing page", { skip: false }, () => {
+        servePages({
+            "https://xhamster.com/categories/big-cats": pageWithInitials(
+                { videoListProps: { videoThumbProps: [{ id: 1, pageURL: "/videos/a-xh1", title: "A", thumbURL: "https://thumb.example/1.jpg" }] } },
+                `<meta property="og:description" content="Big cats videos">`)
+        })
+
+        const channel = source.getChannel("https://xhamster.com/categories/big-cats/2")
+
+        assert.strictEqual(channel.id.value, "big-cats")
+        assert.strictEqual(channel.name, "Big Cats")
+        assert.strictEqual(channel.thumbnail, "https://thumb.example/1.jpg")
+        assert.strictEqual(channel.description, "Big cats videos\n\n📂 Category on xHamster")
+        assert.strictEqual(channel.url, "https://xhamster.com/categories/big-cats")
+    })
+
+    test("getChannelContents pages a tag's videos through the path", { skip: false }, () => {
+        const requested = servePages({
+            "https://xhamster.com/tags/outdoor?sort=newest": pageWithInitials({ list: { videoThumbProps: [{ id: 1, pageURL: "/videos/a-xh1", title: "A" }] } }),
+            "https://xhamster.com/tags/outdoor/2?sort=newest": pageWithInitials({ list: { videoThumbProps: [{ id: 2, pageURL: "/videos/b-xh2", title: "B" }] } })
+        })
+
+        const pager = source.getChannelContents("https://xhamster.com/tags/outdoor", Type.Feed.Mixed, "Newest", {})
+
+        assert.deepStrictEqual(pager.results.map(v => v.name), ["A"])
+        assert.deepStrictEqual(pager.nextPage().results.map(v => v.name), ["B"])
+        assert.deepStrictEqual(requested, ["https://xhamster.com/tags/outdoor?sort=newest", "https://xhamster.com/tags/outdoor/2?sort=newest"])
+    })
+})
+
+describe("home feed sections", { skip: false }, () => {
+    const listing = id => pageWithInitials({ list: { videoThumbProps: [{ id, pageURL: `/videos/v-xh${id}`, title: `${id}` }] } })
+
+    test("ranked sections page through the path", { skip: false }, () => {
+        enablePlugin({ homeFeed: "2" })
+        const requested = servePages({ "https://xhamster.com/best/weekly": listing(1), "https://xhamster.com/best/weekly/2": listing(2) })
+
+        assert.deepStrictEqual(source.getHome().nextPage().results.map(v => v.name), ["2"])
+        assert.deepStrictEqual(requested, ["https://xhamster.com/best/weekly", "https://xhamster.com/best/weekly/2"])
+    })
+
+    test("the front page pages through the query", { skip: false }, () => {
+        enablePlugin({ homeFeed: "0" })
+        const requested = servePages({ "https://xhamster.com/?page=1": listing(1), "https://xhamster.com/?page=2": listing(2) })
+
+        assert.deepStrictEqual(source.getHome().nextPage().results.map(v => v.name), ["2"])
+        assert.deepStrictEqual(requested, ["https://xhamster.com/?page=1", "https://xhamster.com/?page=2"])
+    })
+
+    test("the category section opens the chosen category in the chosen orientation", { skip: false }, () => {
+        const settings = JSON.parse(readFileSync(new URL("../config.json", import.meta.url), "utf8")).settings
+        const homeFeed = settings.find(s => s.variable === "homeFeed").options.indexOf("Category")
+        const homeCategory = settings.find(s => s.variable === "homeCategory").options.indexOf("Big Tits")
+
+        enablePlugin({ homeFeed: `${homeFeed}`, homeCategory: `${homeCategory}`, orientation: "2" })
+        const requested = servePages({ "https://xhamster.com/shemale/categories/big-tits": listing(1) })
+
+        assert.deepStrictEqual(source.getHome().results.map(v => v.name), ["1"])
+        assert.deepStrictEqual(requested, ["https://xhamster.com/shemale/categories/big-tits"])
+    })
+})
+
+describe("channel pages", { skip: false }, () => {
+    before(() => enablePlugin())
+
+    test("parseChannelUrl, getChannelUrl and getChannelId keep slug-based IDs", { skip: false }, () => {
+        assert.deepStrictEqual(plugin.parseChannelUrl("https://xhamster.com/gay/pornstars/some-name/videos"), { type: "pornstars", slug: "some-name" })
+        assert.deepStrictEqual(plugin.parseChannelUrl("https://xhamster.com/users/profiles/bob"), { type: "users", slug: "bob" })
+        assert.strictEqual(plugin.parseChannelUrl("https://xhamster.com/pornstars/search"), null)
+        assert.strictEqual(plugin.parseChannelUrl("https://example.com/creators/name"), null)
+
+        assert.strictEqual(plugin.getChannelUrl("https://fr.xhamster.com/gay/creators/name/videos/2"), "https://xhamster.com/gay/creators/name")
+        assert.strictEqual(plugin.getChannelId("https://xhamster.com/gay/creators/name"), "name")
+        assert.strictEqual(plugin.getChannelId("/pornstars/some-name"), "some-name")
+        assert.strictEqual(plugin.getChannelId("/pornstars/all", "All"), "All")
+        assert.strictEqual(plugin.getChannelId("", "Someone"), "Someone")
+    })
+
+    test("getChannelVideosPath points at each kind's video listing", { skip: false }, () => {
+        assert.strictEqual(plugin.getChannelVideosPath("https://xhamster.com/creators/name/videos"), "/creators/name")
+        assert.strictEqual(plugin.getChannelVideosPath("https://xhamster.com/users/profiles/bob"), "/users/bob/videos")
+        assert.strictEqual(plugin.getChannelVideosPath("https://xhamster.com/gay/pornstars/some-name", "moments"), "/gay/pornstars/some-name/moments")
+        assert.strictEqual(plugin.getChannelVideosPath("https://xhamster.com/users/bob", "favorites"), "/users/bob/favorites/videos")
+    })
+
+    test("getChannel reads the creator's profile model", { skip: false }, () => {
+        servePages({
+            "https://xhamster.com/creators/some-creator": pageWithInitials({
+                user: { name: "Logged-in viewer" },
+                creator: {
+                    displayName: "Some Creator",
+                    thumbURL: "/avatars/some-creator.jpg",
+                    coverURL: "https://thumb.example/cover.jpg",
+                    about: "Hello there",
+                    subscribers: "12.5K",
+                    videoCount: 321
+                }
+            })
+        })
+
+        const channel = source.getChannel("https://de.xhamster.com/creators/some-creator/videos")
+
+        assert.strictEqual(channel.id.value, "some-creator")
+        assert.strictEqual(channel.name, "Some Creator")
+        assert.strictEqual(channel.thumbnail, "https://xhamster.com/avatars/some-creator.jpg")
+        assert.strictEqual(channel.banner, "https://thumb.example/cover.jpg")
+        assert.strictEqual(channel.subscribers, 12500)
+        assert.strictEqual(channel.url, "https://xhamster.com/creators/some-creator")
+        assert.ok(channel.description.startsWith("Hello there\n\n📊 Channel Stats:\n• Total Videos: 321"), channel.description)
+    })
+
+    test("author links use the same IDs as the channels they point at", { skip: false }, () => {
+        const video = plugin.toPlatformVideo({
+            id: "1",
+            title: "A",
+            thumbnailUrl: "",
+            authorInfo: { channel: "https://xhamster.com/creators/some-creator", authorName: "Some Creator" }
+        })
+        const author = plugin.getVideoAuthor({ author: { name: "Some Creator", pageURL: "/creators/some-creator" } }, plugin.domParser.parseFromString(""))
+        const link = plugin.toPlatformAuthorLink({ url: "/creators/some-creator", name: "some-creator", displayName: "Some Creator" })
+
+        assert.strictEqual(video.author.id.value, "some-creator")
+        assert.strictEqual(author.id, "some-creator")
+        assert.strictEqual(link.id.value, "some-creator")
+        assert.strictEqual(plugin.toPlatformAuthorLink({ url: "/pornstars/all", name: "all", displayName: "All" }).id.value, "all")
+    })
+})
+
+describe("channel sorts and content tabs", { skip: false }, () => {
+    before(() => enablePlugin())
+
+    test("getChannelContentTab follows the content filter, then the feed type", { skip: false }, () => {
+        assert.deepStrictEqual(source.getChannelCapabilities().filters[0].filters.map(f => f.value), ["videos", "moments", "photos", "favorites"])
+
+        assert.strictEqual(plugin.getChannelContentTab(Type.Feed.Mixed, { content: ["photos"] }), "photos")
+        assert.strictEqual(plugin.getChannelContentTab(Type.Feed.Shorts, {}), "moments")
+        assert.strictEqual(plugin.getChannelContentTab(Type.Feed.Videos, { content: ["unknown"] }), "videos")
+        assert.strictEqual(plugin.getChannelContentTab(Type.Feed.Mixed, undefined), "videos")
+    })
+
+    test("getChannelContents passes the sort to the chosen tab", { skip: false }, () => {
+        const requested = servePages({
+            "https://xhamster.com/creators/name/moments?sort=rating": pageWithInitials({ list: { videoThumbProps: [{ id: 1, pageURL: "/moments/a-xh1", title: "A" }] } })
+        })
+
+        assert.deepStrictEqual(source.getChannelContents("https://xhamster.com/creators/name", Type.Feed.Shorts, "Top Rated", {}).results.map(v => v.name), ["A"])
+        assert.deepStrictEqual(source.getChannelContents("https://xhamster.com/pornstars/name", Type.Feed.Mixed, "", { content: ["favorites"] }).results, [])
+        assert.deepStrictEqual(requested, ["https://xhamster.com/creators/name/moments?sort=rating"])
+    })
+
+    test("the photo galleries tab lists galleries that open as posts", { skip: false }, () => {
+        const galleryUrl = "https://xhamster.com/photos/gallery/holiday-pics-12345"
+        servePages({
+            "https://xhamster.com/creators/name/photos?sort=newest": pageWithInitials({
+                galleries: [{ id: 12345, pageURL: "/photos/gallery/holiday-pics-12345", title: "Holiday pics", thumbURL: "https://thumb.example/g.jpg", quantity: 24 }]
+            }),
+            [galleryUrl]: pageWithInitials({
+                photosGalleryModel: {
+                    title: "Holiday pics",
+                    description: "Sunny days",
+                    author: { name: "Name", pageURL: "/creators/name" },
+                    photos: [{ imageURL: "https://thumb.example/1.jpg" }, { url: "/photos/2.jpg" }, {}]
+                }
+            })
+        })
+
+        const [post] = source.getChannelContents("https://xhamster.com/creators/name", Type.Feed.Mixed, "Newest", { content: ["photos"] }).results
+        assert.deepStrictEqual([post.id.value, post.name, post.url, post.description, post.images], ["12345", "Holiday pics", galleryUrl, "24 photos", ["https://thumb.example/g.jpg"]])
+
+        assert.strictEqual(plugin.getGalleryIdFromUrl("https://de.xhamster.com/photos/gallery/holiday-pics-12345"), "12345")
+        assert.strictEqual(plugin.getGalleryIdFromUrl("https://xhamster.com/photos/gallery/holiday-pics"), null)
+        assert.strictEqual(source.isContentDetailsUrl(galleryUrl), true)
+
+        const details = source.getContentDetails(galleryUrl)
+        assert.ok(details instanceof PlatformPostDetails)
+        assert.strictEqual(details.id.value, "12345")
+        assert.strictEqual(details.content, "Sunny days")
+        assert.strictEqual(details.author.id.value, "name")
+        assert.deepStrictEqual(details.images, ["https://thumb.example/1.jpg", "https://xhamster.com/photos/2.jpg"])
+    })
+})
+
+describe("channel playlists", { skip: false }, () => {
+    before(() => enablePlugin())
+
+    test("getChannelPlaylists lists the profile's favorites, then its collections", { skip: false }, () => {
+        const requested = servePages({
+            "https://xhamster.com/users/bob/collections?page=1": pageWithInitials({
+                collectionsList: [{ title: "Best of", pageURL: "/collections/best-123", videoCount: 7 }]
+            })
+        })
+
+        const pager = source.getChannelPlaylists("https://de.xhamster.com/users/profiles/bob/videos")
+
+        assert.deepStrictEqual(pager.results.map(p => [p.id.value, p.name, p.url]), [
+            ["favorites-bob", "Favorites", "https://xhamster.com/users/bob/favorites/videos"],
+            ["best-123", "Best of", "https://xhamster.com/collections/best-123"]
+        ])
+        assert.strictEqual(pager.results[0].author.id.value, "bob")
+        assert.deepStrictEqual(requested, ["https://xhamster.com/users/bob/collections?page=1"])
+        for (const playlist of pager.results) {
+            assert.strictEqual(source.isPlaylistUrl(playlist.url), true)
+        }
+    })
+
+    test("getChannelPlaylists is empty for pornstars and profiles without collections", { skip: false }, () => {
+        servePages({})
+
+        assert.deepStrictEqual(source.getChannelPlaylists("https://xhamster.com/pornstars/some-star").results, [])
+        assert.deepStrictEqual(source.getChannelPlaylists("https://xhamster.com/creators/name").results.map(p => p.name), ["Favorites"])
+    })
+
+    test("getPlaylist pages favorites through the path", { skip: false }, () => {
+        const favorites = pageWithInitials({ list: { videoThumbProps: [{ id: 1, pageURL: "/videos/a-xh1", title: "A" }] } })
+        const requested = servePages({
+            "https://xhamster.com/users/bob/favorites/videos": favorites,
+            "https://xhamster.com/users/bob/favorites/videos/2": pageWithInitials({ list: { videoThumbProps: [{ id: 2, pageURL: "/videos/b-xh2", title: "B" }] } })
+        })
+
+        const playlist = source.getPlaylist("https://xhamster.com/users/bob/favorites/videos")
+
+        assert.strictEqual(playlist.id.value, "favorites-bob")
+        assert.deepStrictEqual(playlist.contents.nextPage().results.map(v => v.name), ["B"])
+        assert.strictEqual(requested[requested.length - 1], "https://xhamster.com/users/bob/favorites/videos/2")
+    })
+})
+
+describe("user profiles", { skip: false }, () => {
+    before(() => enablePlugin())
+
+    test("getChannel reads the opened profile, not the logged-in viewer", { skip: false }, () => {
+        servePages({
+            "https://xhamster.com/users/bob": pageWithInitials({
+                user: { name: "Viewer", thumbURL: "https://thumb.example/viewer.jpg", subscribers: 1 },
+                userProfile: { displayName: "Bob", thumbURL: "https://thumb.example/bob.jpg", about: "Just Bob", subscribers: "2K", videoCount: 12, favoritesCount: 40 }
+            })
+        })
+
+        const channel = source.getChannel("https://xhamster.com/users/profiles/bob")
+
+        assert.strictEqual(channel.id.value, "bob")
+        assert.strictEqual(channel.name, "Bob")
+        assert.strictEqual(channel.thumbnail, "https://thumb.example/bob.jpg")
+        assert.strictEqual(channel.subscribers, 2000)
+        assert.strictEqual(channel.description, "Just Bob\n\n📊 Channel Stats:\n• Total Videos: 12\n• Favorites: 40\n• Subscribers: 2,000")
+    })
+
+    test("getChannel falls back to the profile page markup", { skip: false }, () => {
+        servePages({
+            "https://xhamster.com/users/alice": pageWithInitials({ user: { name: "Viewer" } },
+                `<h1>Alice</h1><div class="user-avatar"><img data-src="/avatars/alice.jpg"></div><div class="about-me"> Hi </div>` +
+                `<span class="subscribers-count">1,234 subscribers</span>`)
+        })
+
+        const channel = source.getChannel("https://xhamster.com/users/alice")
+
+        assert.strictEqual(channel.name, "Alice")
+        assert.strictEqual(channel.thumbnail, "https://xhamster.com/avatars/alice.jpg")
+        assert.strictEqual(channel.subscribers, 1234)
+        assert.ok(channel.description.startsWith("Hi\n\n📊 Channel Stats:"), channel.description)
+    })
+
+    test("getChannelContents lists a user's uploads and favorites", { skip: false }, () => {
+        const requested = servePages({
+            "https://xhamster.com/users/bob/videos": pageWithInitials({ list: { videoThumbProps: [{ id: 1, pageURL: "/videos/a-xh1", title: "Upload" }] } }),
+            "https://xhamster.com/users/bob/favorites/videos": pageWithInitials({ list: { videoThumbProps: [{ id: 2, pageURL: "/videos/b-xh2", title: "Favorite" }] } })
+        })
+
+        assert.deepStrictEqual(source.getChannelContents("https://xhamster.com/users/bob", Type.Feed.Mixed, "", {}).results.map(v => v.name), ["Upload"])
+        assert.deepStrictEqual(source.getChannelContents("https://xhamster.com/users/bob", Type.Feed.Mixed, "", { content: ["favorites"] }).results.map(v => v.name), ["Favorite"])
+        assert.strictEqual(requested.length, 2)
+    })
+})
+
+describe("pornstar bio", { skip: false }, () => {
+    before(() => enablePlugin())
+
+    test("getPornstarBio reads only the pornstar profile", { skip: false }, () => {
+        const html = pageWithInitials({
+            filters: [{ label: "Country", value: "Germany" }],
+            pornstar: {
+                aliases: ["Annie", { name: "A. B." }],
+                rank: 42,
+                about: { items: [{ label: "Country", value: "Czech Republic" }, { label: "Age:", value: 0 }] }
+            }
+        })
+        const dom = { querySelector: () => null }
+
+        assert.deepStrictEqual({ ...plugin.getPornstarBio(html, dom) }, {
+            aliases: "Annie, A. B.",
+            country: "Czech Republic",
+            ranking: "42"
+        })
+    })
+
+    test("getPornstarBio pairs the info block's dt and dd by index", { skip: false }, () => {
+        const html = `<div class="pornstar-info"><dl><dt>Measurements</dt><dd>34C-24-35</dd><dt>Career start</dt><dd> 2015 </dd></dl></div>` +
+            `<dl class="filters"><dt>Age</dt><dd>18-25</dd></dl>`
+
+        assert.deepStrictEqual({ ...plugin.getPornstarBio(html, plugin.domParser.parseFromString(html)) }, {
+            measurements: "34C-24-35",
+            careerStart: "2015"
+        })
+    })
+
+    test("getChannel appends the bio to pornstar descriptions only, in fact order", { skip: false }, () => {
+        servePages({
+            "https://xhamster.com/pornstars/some-star": pageWithInitials({
+                pornstar: { name: "Some Star", about: { items: [{ label: "Ethnicity", value: "Latin" }] }, rank: 7, aliases: ["Star"] }
+            })
+        })
+
+        assert.strictEqual(source.getChannel("https://xhamster.com/pornstars/some-star").description,
+            "⭐ Bio:\n• Aliases: Star\n• Ethnicity: Latin\n• Ranking: #7")
+        assert.strictEqual(plugin.formatPornstarBio({}), "")
+    })
+})
+
+describe("related channels", { skip: false }, () => {
+    before(() => enablePlugin())
+
+    const page = pageWithInitials({
+        sidebar: {
+            similarPornstars: [
+                { name: "Other Star", pageURL: "/pornstars/other-star", thumbURL: "https://thumb.example/o.jpg", subscribers: "3K" },
+                { name: "Some Star", pageURL: "/pornstars/some-star" },
+                { name: "Big Cats", pageURL: "/categories/big-cats" }
+            ],
+            relatedChannels: [
+                { title: "Studio", link: "https://de.xhamster.com/channels/studio?from=related" },
+                { title: "Other Star again", link: "/pornstars/other-star" }
+            ]
+        }
+    })
+
+    test("getRelatedChannels collects similar and related channels, leaving out the channel itself", { skip: false }, () => {
+        assert.deepStrictEqual(plugin.getRelatedChannels(page, "https://xhamster.com/pornstars/some-star").map(c => [c.url, c.displayName, c.subscribers]), [
+            ["https://xhamster.com/pornstars/other-star", "Other Star", 3000],
+            ["https://xhamster.com/channels/studio", "Studio", 0]
+        ])
+    })
+
+    test("getRelatedChannels falls back to the related block's links", { skip: false }, () => {
+        const html = `<div class="related-pornstars"><a href="/pornstars/other-star" title="Other Star"><img src="https://thumb.example/o.jpg"></a></div>` +
+            `<nav><a href="/pornstars/nav-star">Nav Star</a></nav>`
+
+        assert.deepStrictEqual(plugin.getRelatedChannels(html, "https://xhamster.com/creators/name").map(c => [c.name, c.avatar]), [["other-star", "https://thumb.example/o.jpg"]])
+    })
+
+    test("getChannelRecommendations returns the related channels as author links", { skip: false }, () => {
+        servePages({ "https://xhamster.com/pornstars/some-star": page })
+
+        const pager = source.getChannelRecommendations("https://xhamster.com/pornstars/some-star")
+
+        assert.deepStrictEqual(pager.results.map(c => [c.id.value, c.name, c.url, c.thumbnail]), [
+            ["other-star", "Other Star", "https://xhamster.com/pornstars/other-star", "https://thumb.example/o.jpg"],
+            ["studio", "Studio", "https://xhamster.com/channels/studio", ""]
+        ])
+        assert.strictEqual(pager.hasMorePagers(), false)
+    })
+})
+
+describe("social links", { skip: false }, () => {
+    test("extractPlatformName names known platforms and shows personal sites by domain", { skip: false }, () => {
+        assert.strictEqual(plugin.extractPlatformName("https://www.onlyfans.com/name"), "OnlyFans")
+        assert.strictEqual(plugin.extractPlatformName("https://old.reddit.com/u/name"), "Reddit")
+        assert.strictEqual(plugin.extractPlatformName("https://t.me/name"), "Telegram")
+        assert.strictEqual(plugin.extractPlatformName("https://linktr.ee/name", "https://linktr.ee/name"), "Linktree")
+        assert.strictEqual(plugin.extractPlatformName("https://name-official.com/about"), "name-official.com")
+        assert.strictEqual(plugin.extractPlatformName("https://fansly.com/name", "My page"), "My page")
+        assert.strictEqual(plugin.extractPlatformName("", ""), "Website")
+    })
+
+    test("unwrapRedirectUrl follows wrapped and nested redirects only", { skip: false }, () => {
+        assert.strictEqual(plugin.unwrapRedirectUrl("https://xhamster.com/redirect?url=https%3A%2F%2Ffansly.com%2Fname"), "https://fansly.com/name")
+        assert.strictEqual(plugin.unwrapRedirectUrl("https://out.example/go?id=1&to=https%3A%2F%2Fr.example%2F%3Fu%3Dhttps%253A%252F%252Fonlyfans.com%252Fname"), "https://onlyfans.com/name")
+        assert.strictEqual(plugin.unwrapRedirectUrl("https://www.google.com/search?q=https%3A%2F%2Fexample.com"), "https://www.google.com/search?q=https%3A%2F%2Fexample.com")
+        assert.strictEqual(plugin.unwrapRedirectUrl("https://linktr.ee/name"), "https://linktr.ee/name")
+    })
+
+    test("getSocialLinks reads the profile's links block, unwrapped and without duplicates", { skip: false }, () => {
+        const dom = plugin.domParser.parseFromString(
+            `<div class="socialLinksSection"><ul class="socialList">` +
+            `<li><a href="/redirect?url=https%3A%2F%2Fonlyfans.com%2Fname"><span class="socialText">OnlyFans</span></a></li>` +
+            `<li><a href="https://www.onlyfans.com/name/">OF</a></li>` +
+            `<li><a href="https://x.com/name">X</a></li>` +
+            `<li><a href="https://twitter.com/name2">Twitter</a></li>` +
+            `<li><a href="https://xhamster.com/creators/name">Profile</a></li>` +
+            `</ul></div><footer><a href="https://twitter.com/xhamster">xHamster</a></footer>`)
+
+        assert.deepStrictEqual({ ...plugin.getSocialLinks(dom) }, {
+            "OnlyFans": "https://onlyfans.com/name",
+            "Twitter": "https://x.com/name",
+            "Twitter 2": "https://twitter.com/name2"
+        })
+    })
+})
+
+describe("counts", { skip: false }, () => {
+    test("parseCount reads separators, suffixes and localized suffixes", { skip: false }, () => {
+        const cases = [
+            ["1,234", 1234],
+            ["1.234", 1234],
+            ["12 345", 12345],
+            ["1.2K", 1200],
+            ["1.2B", 1200000000],
+            ["1,5 Mio.", 1500000],
+            ["3,4 млн", 3400000],
+            ["1.2万", 12000],
+            ["1 million", 1000000],
+            ["7 bin", 7000],
+            ["9 Mds", 9000000000],
+            ["3 mil millones", 3000000000],
+            ["1 234 views", 1234],
+            ["5 milk", 5],
+            [42.4, 42],
+            [null, 0],
+            ["n/a", 0]
+        ]
+        for (const [input, expected] of cases) {
+            assert.strictEqual(plugin.parseCount(input), expected, `parseCount(${JSON.stringify(input)})`)
+        }
+    })
+
+    test("listing cards read localized view counts and never end up with NaN", { skip: false }, () => {
+        assert.strictEqual(plugin.mapVideoThumbProps({ id: 1, pageURL: "/videos/a-xh1", views: "2,3 Mio." }).views, 2300000)
+        assert.strictEqual(plugin.mapVideoThumbProps({ id: 1, pageURL: "/videos/a-xh1" }).views, 0)
+    })
+})